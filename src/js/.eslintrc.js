@@ -4,9 +4,16 @@ module.exports = {
   ],
   "globals": {
     "assignManager": true,
+    "backup": true,
     "badge": true,
     "backgroundLogic": true,
     "identityState": true,
-    "messageHandler": true
+    "logger": true,
+    "sync": true,
+    "temporaryContainers": true,
+    "messageHandler": true,
+    "migrations": true,
+    "orphans": true,
+    "routingLog": true
   }
 };
@@ -5,9 +5,158 @@ const assignManager = {
   MENU_HIDE_ID: "hide-container",
   MENU_MOVE_ID: "move-to-new-window-container",
 
+  // What a transition rule does with a navigation, rules without an action open the
+  //   page in the container named by their userContextId
+  ACTION_OPEN: "open",
+  ACTION_STAY: "stay",
+  ACTION_BLOCK: "block",
+  ACTION_PRIVATE: "private",
+
+  // How long a tab stays exempted from the rules for a site:
+  //   until the tab is closed, until the browser is closed, or for an hour
+  EXEMPT_TAB: "tab",
+  EXEMPT_SESSION: "session",
+  EXEMPT_HOUR: "hour",
+  EXEMPT_HOUR_MS: 60 * 60 * 1000,
+  // How long session restore may take to bring back the tabs of exemptions
+  RESTORE_TIMEOUT: 5 * 60 * 1000,
+  // Why a tab got exempted: the user chose to stay on the confirm page, the tab followed
+  //   a link within a site, the tab was opened by a rule, it was open when the site got assigned,
+  //   or the user moved it back to the container a rule had taken it from
+  EXEMPT_REASON_CONFIRM: "confirm",
+  EXEMPT_REASON_SAME_SITE: "sameSite",
+  EXEMPT_REASON_OPENED: "opened",
+  EXEMPT_REASON_ASSIGNED: "assigned",
+  EXEMPT_REASON_UNDONE: "undone",
+  // Session value of the tabs opened by the rules that tells how they got to their container
+  PROVENANCE_KEY: "provenance",
+  // The popup panel to open on, left by the "Edit rule" button of a toast
+  PENDING_PANEL_KEY: "pendingPopupPanel",
+
+  log: logger.category("assignManager"),
+
   storageArea: {
     area: browser.storage.local,
+    // Kept in memory so onBeforeRequest can check it synchronously, and persisted under
+    //   exemptedTabsStoreKey as {siteStoreKey: [{tabId, lifetime, expires, cookieStoreId, restoring}]}
     exemptedTabs: {},
+    restoreDeadline: 0,
+    exemptionsLoading: null,
+    exemptedTabsStoreKey: "exemptedTabs",
+    // Every exempted tab carries its id as a session value, which survives session restore
+    //   while the tab id itself doesn't
+    tabIdSessionKey: "exemptedTabId",
+    // In-memory copy of the assignments, URL rules and transition rules, so that looking up
+    //   the rule for a request rarely has to wait for storage: their values by store key, which
+    //   is keyed by host, and the store keys of the rules opening pages in each container.
+    //   Loaded once, then kept current by storage.onChanged.
+    rules: null,
+    rulesByContainer: {},
+    // The containers each rule was indexed under
+    ruleContainers: {},
+    rulesLoading: null,
+    // Changes that came in while the rules were being read, applied on top of what was read
+    pendingRuleChanges: [],
+
+    isRuleStoreKey(key) {
+      return key.startsWith("siteContainerMap@@_")
+        || key.startsWith("siteUrlRule@@_")
+        || key.startsWith("siteTransition@@_");
+    },
+
+    // The userContextIds, as strings, a rule may open pages in
+    getRuleContainers(value) {
+      return Array.from(new Set([value.userContextId].concat(value.candidates || []).map(String)));
+    },
+
+    // Only rules are cached, setRules also writes the state of the hidden tabs of containers
+    cacheRule(key, value) {
+      if (!this.isRuleStoreKey(key)) {
+        return;
+      }
+      this.uncacheRule(key);
+      if (typeof value === "undefined") {
+        return;
+      }
+      this.rules[key] = value;
+      this.ruleContainers[key] = this.getRuleContainers(value);
+      this.ruleContainers[key].forEach((userContextId) => {
+        if (!(userContextId in this.rulesByContainer)) {
+          this.rulesByContainer[userContextId] = new Set();
+        }
+        this.rulesByContainer[userContextId].add(key);
+      });
+    },
+
+    uncacheRule(key) {
+      if (!(key in this.rules)) {
+        return;
+      }
+      this.ruleContainers[key].forEach((userContextId) => {
+        this.rulesByContainer[userContextId].delete(key);
+      });
+      delete this.rules[key];
+      delete this.ruleContainers[key];
+    },
+
+    // Applies the changes of a storage.onChanged event
+    applyRuleChanges(changes) {
+      if (!this.rules) {
+        this.pendingRuleChanges.push(changes);
+        return;
+      }
+      Object.keys(changes).forEach((key) => {
+        if (this.isRuleStoreKey(key)) {
+          this.cacheRule(key, changes[key].newValue);
+        }
+      });
+    },
+
+    loadRules() {
+      if (!this.rulesLoading) {
+        this.rulesLoading = this.area.get().then((storageResponse) => {
+          this.rules = {};
+          this.rulesByContainer = {};
+          this.ruleContainers = {};
+          Object.keys(storageResponse).forEach((key) => {
+            if (this.isRuleStoreKey(key)) {
+              this.cacheRule(key, storageResponse[key]);
+            }
+          });
+          this.pendingRuleChanges.forEach((changes) => this.applyRuleChanges(changes));
+          this.pendingRuleChanges = [];
+        }).catch((e) => {
+          this.rulesLoading = null;
+          throw e;
+        });
+      }
+      return this.rulesLoading;
+    },
+
+    // A copy of a stored rule, or null
+    getRule(key) {
+      return key in this.rules ? Object.assign({}, this.rules[key]) : null;
+    },
+
+    // Rules are written through these so the copy in memory doesn't wait for storage.onChanged.
+    //   Their container ids are stored as strings whatever type the caller has them in.
+    async setRules(entries) {
+      await this.loadRules();
+      const normalized = {};
+      Object.keys(entries).forEach((key) => {
+        normalized[key] = migrations.normalizeEntry(key, entries[key]);
+        this.cacheRule(key, normalized[key]);
+      });
+      return this.area.set(normalized);
+    },
+
+    async removeRules(keys) {
+      await this.loadRules();
+      keys.forEach((key) => {
+        this.uncacheRule(key);
+      });
+      return this.area.remove(keys);
+    },
 
     getSiteStoreKey(pageUrl) {
       const url = new window.URL(pageUrl);
@@ -19,153 +168,587 @@ const assignManager = {
       }
     },
 
-    getTransitionStoreKey(sourceContainerId, pageUrl) {
+    // The hostname of an assignment is its store key without the prefix, it is either
+    //   an exact host ("mail.example.com") or a wildcard pattern ("*.example.com")
+    getHostnameStoreKey(hostname) {
+      const storagePrefix = "siteContainerMap@@_";
+      return `${storagePrefix}${hostname}`;
+    },
+
+    getHostnameFromStoreKey(siteStoreKey) {
+      return siteStoreKey.replace(/^siteContainerMap@@_/, "");
+    },
+
+    // Returns the keys that may hold an assignment for pageUrl, most specific first:
+    //   the exact host, then for every parent domain the "*.parent" pattern followed by
+    //   the parent host itself, which only applies if it was set to include subdomains.
+    getCandidateStoreKeys(pageUrl) {
+      const url = new window.URL(pageUrl);
+      const candidates = [{
+        siteStoreKey: this.getSiteStoreKey(pageUrl),
+        exact: true
+      }];
+      // IP addresses don't have parent domains
+      if (/^[\d.]+$/.test(url.hostname) || url.hostname.startsWith("[")) {
+        return candidates;
+      }
+      const labels = url.hostname.split(".");
+      for (let i = 1; i < labels.length; i++) {
+        const parent = labels.slice(i).join(".");
+        candidates.push({
+          siteStoreKey: this.getHostnameStoreKey(`*.${parent}`),
+          exact: true
+        });
+        candidates.push({
+          siteStoreKey: this.getHostnameStoreKey(parent),
+          exact: false
+        });
+      }
+      return candidates;
+    },
+
+    // Hostname of the wildcard pattern covering the siblings of pageUrl: "*.example.com" for mail.example.com
+    getWildcardHostname(pageUrl) {
+      const labels = new window.URL(pageUrl).hostname.split(".");
+      if (labels.length < 3) {
+        return `*.${labels.join(".")}`;
+      }
+      return `*.${labels.slice(1).join(".")}`;
+    },
+
+    hostnameMatches(hostname, includeSubdomains, pageUrl) {
+      const url = new window.URL(pageUrl);
+      if (hostname.startsWith("*.")) {
+        return url.hostname.endsWith(hostname.substr(1));
+      }
+      if (this.getSiteStoreKey(pageUrl) === this.getHostnameStoreKey(hostname)) {
+        return true;
+      }
+      return Boolean(includeSubdomains) && url.hostname.endsWith(`.${hostname}`);
+    },
+
+    getUrlRuleStoreKey(type, pattern) {
+      const storagePrefix = "siteUrlRule@@_";
+      return `${storagePrefix}${type}@@_${pattern}`;
+    },
+
+    // URL rules are checked before hostname assignments. "prefix" and "glob" patterns are
+    //   matched against the host, path and query of a URL (e.g. "github.com/org-a"),
+    //   "regex" patterns against the whole URL.
+    urlRuleMatches(rule, pageUrl) {
+      const url = new window.URL(pageUrl);
+      const subject = `${url.host}${url.pathname}${url.search}`;
+      switch (rule.type) {
+      case "prefix": {
+        if (!subject.startsWith(rule.pattern)) {
+          return false;
+        }
+        // Only match whole path segments: "github.com/org-a" shouldn't match "github.com/org-ab"
+        const next = subject.charAt(rule.pattern.length);
+        return rule.pattern.endsWith("/") || ["", "/", "?"].includes(next);
+      }
+      case "glob": {
+        const source = rule.pattern.split("*").map((part) => {
+          return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+        }).join(".*");
+        return new RegExp(`^${source}$`).test(subject);
+      }
+      case "regex":
+        try {
+          return new RegExp(rule.pattern).test(url.href);
+        } catch (e) {
+          // An invalid expression never matches
+          return false;
+        }
+      }
+      return false;
+    },
+
+    // Rules with a higher priority win, on a tie prefixes beat globs which beat
+    //   regular expressions, and finally the longer pattern is preferred
+    compareUrlRules(a, b) {
+      const typeOrder = ["prefix", "glob", "regex"];
+      return (b.priority || 0) - (a.priority || 0)
+        || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)
+        || b.pattern.length - a.pattern.length;
+    },
+
+    findUrlRules() {
+      return Object.keys(this.rules).filter((key) => {
+        return key.startsWith("siteUrlRule@@_");
+      }).map((key) => {
+        return this.getRule(key);
+      });
+    },
+
+    async getUrlRules() {
+      await this.loadRules();
+      return this.findUrlRules();
+    },
+
+    // The URL rule for pageUrl with the highest priority, or null if none matches
+    findUrlRule(pageUrl) {
+      const matchingRules = this.findUrlRules().filter((rule) => this.urlRuleMatches(rule, pageUrl));
+      matchingRules.sort(this.compareUrlRules);
+      return matchingRules[0] || null;
+    },
+
+    async getUrlRule(pageUrl) {
+      await this.loadRules();
+      return this.findUrlRule(pageUrl);
+    },
+
+    setUrlRule(rule) {
+      return this.setRules({
+        [this.getUrlRuleStoreKey(rule.type, rule.pattern)]: rule
+      });
+    },
+
+    removeUrlRule(type, pattern) {
+      return this.removeRules([this.getUrlRuleStoreKey(type, pattern)]);
+    },
+
+    // The default (no container) context is false everywhere else, in store keys it is
+    //   written as userContextId 0 which is what Firefox uses for it internally
+    getTransitionSourceId(sourceContainerId) {
+      return sourceContainerId || 0;
+    },
+
+    // With an originUrl the rule only applies to navigations coming from that site
+    getTransitionStoreKey(sourceContainerId, pageUrl, originUrl) {
       const url = new window.URL(pageUrl);
       const storagePrefix = "siteTransition@@_";
-      return `${storagePrefix}${sourceContainerId}@@_${url.hostname}`;
+      const sourceId = this.getTransitionSourceId(sourceContainerId);
+      if (originUrl) {
+        const origin = new window.URL(originUrl);
+        return `${storagePrefix}${sourceId}@@_${url.hostname}@@_${origin.hostname}`;
+      }
+      return `${storagePrefix}${sourceId}@@_${url.hostname}`;
     },
 
     getDefaultTransitionStoreKey(sourceContainerId) {
       const storagePrefix = "siteTransition@@_";
-      return `${storagePrefix}${sourceContainerId}@@_default`;
+      return `${storagePrefix}${this.getTransitionSourceId(sourceContainerId)}@@_default`;
     },
 
-    setExempted(pageUrl, tabId) {
+    // Without a lifetime the exemption lasts as long as the tab, and it leaves alone
+    //   the one the tab may already have for the site. Same-site navigations exempt
+    //   their tab over and over, so this also saves needless writes.
+    //   Session and hour exemptions hold for every tab of the container of cookieStoreId,
+    //   and outlive the tab they were made in.
+    setExempted(pageUrl, tabId, reason, lifetime, cookieStoreId) {
       const siteStoreKey = this.getSiteStoreKey(pageUrl);
       if (!(siteStoreKey in this.exemptedTabs)) {
         this.exemptedTabs[siteStoreKey] = [];
       }
-      this.exemptedTabs[siteStoreKey].push(tabId);
+      const exemptions = this.exemptedTabs[siteStoreKey];
+      const existing = exemptions.find((exemption) => exemption.tabId === tabId && !exemption.restoring);
+      if (existing && !this.isExpired(existing) && !lifetime) {
+        return;
+      }
+      lifetime = lifetime || assignManager.EXEMPT_TAB;
+      const exemption = {tabId, lifetime, reason};
+      if (lifetime !== assignManager.EXEMPT_TAB) {
+        exemption.cookieStoreId = cookieStoreId;
+      }
+      if (lifetime === assignManager.EXEMPT_HOUR) {
+        exemption.expires = Date.now() + assignManager.EXEMPT_HOUR_MS;
+      }
+      this.exemptedTabs[siteStoreKey] = exemptions.filter((other) => other.tabId !== tabId).concat(exemption);
+      browser.sessions.setTabValue(tabId, this.tabIdSessionKey, tabId).catch(() => {
+        // The tab is already gone
+      });
+      this.saveExempted();
     },
 
     removeExempted(pageUrl) {
       const siteStoreKey = this.getSiteStoreKey(pageUrl);
       this.exemptedTabs[siteStoreKey] = [];
+      this.saveExempted();
     },
 
-    isExempted(pageUrl, tabId) {
-      const siteStoreKey = this.getSiteStoreKey(pageUrl);
+    // Lists the exemptions in effect as {hostname, tabId, lifetime, expires, reason, cookieStoreId}
+    getExemptions() {
+      const exemptions = [];
+      Object.keys(this.exemptedTabs).forEach((siteStoreKey) => {
+        const hostname = this.getHostnameFromStoreKey(siteStoreKey);
+        this.exemptedTabs[siteStoreKey].forEach((exemption) => {
+          if (!this.isExpired(exemption) && !exemption.restoring) {
+            exemptions.push(Object.assign({hostname}, exemption));
+          }
+        });
+      });
+      return exemptions;
+    },
+
+    removeExemption(hostname, tabId) {
+      const siteStoreKey = this.getHostnameStoreKey(hostname);
       if (!(siteStoreKey in this.exemptedTabs)) {
+        return;
+      }
+      this.exemptedTabs[siteStoreKey] = this.exemptedTabs[siteStoreKey].filter((exemption) => exemption.tabId !== tabId);
+      return this.saveExempted();
+    },
+
+    clearExemptions() {
+      this.exemptedTabs = {};
+      return this.saveExempted();
+    },
+
+    // Only the exemptions that last as long as the tab end with it
+    removeExemptedTab(tabId) {
+      let changed = false;
+      Object.keys(this.exemptedTabs).forEach((siteStoreKey) => {
+        const exemptions = this.exemptedTabs[siteStoreKey].filter((exemption) => {
+          return exemption.tabId !== tabId || exemption.restoring || exemption.lifetime !== assignManager.EXEMPT_TAB;
+        });
+        changed = changed || exemptions.length !== this.exemptedTabs[siteStoreKey].length;
+        this.exemptedTabs[siteStoreKey] = exemptions;
+      });
+      if (changed) {
+        this.saveExempted();
+      }
+    },
+
+    appliesTo(exemption, tabId, cookieStoreId) {
+      if (exemption.restoring || this.isExpired(exemption)) {
         return false;
       }
-      return this.exemptedTabs[siteStoreKey].includes(tabId);
+      return exemption.tabId === tabId || (!!exemption.cookieStoreId && exemption.cookieStoreId === cookieStoreId);
     },
 
-    get(pageUrl) {
+    isExempted(pageUrl, tabId, cookieStoreId) {
       const siteStoreKey = this.getSiteStoreKey(pageUrl);
-      return new Promise((resolve, reject) => {
-        this.area.get([siteStoreKey]).then((storageResponse) => {
-          if (storageResponse && siteStoreKey in storageResponse) {
-            resolve(storageResponse[siteStoreKey]);
+      if (!(siteStoreKey in this.exemptedTabs)) {
+        return false;
+      }
+      return this.exemptedTabs[siteStoreKey].some((exemption) => this.appliesTo(exemption, tabId, cookieStoreId));
+    },
+
+    isExpired(exemption) {
+      return !!exemption.expires && exemption.expires <= Date.now();
+    },
+
+    // Expired exemptions are only dropped when saving, and so are the ones of tabs that
+    //   session restore didn't bring back in time
+    saveExempted() {
+      const restoreOver = Date.now() > this.restoreDeadline;
+      Object.keys(this.exemptedTabs).forEach((siteStoreKey) => {
+        const exemptions = this.exemptedTabs[siteStoreKey].filter((exemption) => {
+          return !this.isExpired(exemption) && !(restoreOver && exemption.restoring);
+        });
+        if (exemptions.length) {
+          this.exemptedTabs[siteStoreKey] = exemptions;
+        } else {
+          delete this.exemptedTabs[siteStoreKey];
+        }
+      });
+      return this.area.set({
+        [this.exemptedTabsStoreKey]: this.exemptedTabs
+      });
+    },
+
+    // Merges the persisted exemptions into the ones made since the background page loaded.
+    //   Tab ids are looked up again through their session value. The exemptions of tabs that
+    //   aren't back yet wait for them as restoring until RESTORE_TIMEOUT is over, unless they
+    //   hold for the container anyway.
+    async loadExempted() {
+      this.restoreDeadline = Date.now() + assignManager.RESTORE_TIMEOUT;
+      const storageResponse = await this.area.get([this.exemptedTabsStoreKey]);
+      if (!storageResponse || !(this.exemptedTabsStoreKey in storageResponse)) {
+        return;
+      }
+      const tabIds = {};
+      const tabs = await browser.tabs.query({});
+      await Promise.all(tabs.map(async (tab) => {
+        const oldTabId = await this.getRestoredTabId(tab);
+        if (typeof oldTabId !== "undefined") {
+          tabIds[oldTabId] = tab.id;
+        }
+      }));
+      const stored = storageResponse[this.exemptedTabsStoreKey];
+      Object.keys(stored).forEach((siteStoreKey) => {
+        const exemptions = this.exemptedTabs[siteStoreKey] || [];
+        stored[siteStoreKey].forEach((exemption) => {
+          const restored = Object.assign({}, exemption);
+          delete restored.restoring;
+          if (exemption.tabId in tabIds) {
+            restored.tabId = tabIds[exemption.tabId];
+          } else if (restored.lifetime === assignManager.EXEMPT_TAB) {
+            restored.restoring = true;
+          }
+          if (!exemptions.some((other) => other.tabId === restored.tabId && !other.restoring)) {
+            exemptions.push(restored);
           }
-          resolve(null);
-        }).catch((e) => {
-          reject(e);
         });
+        this.exemptedTabs[siteStoreKey] = exemptions;
       });
+      return this.saveExempted();
     },
 
-    getTransitionSettings(sourceContainerId, pageUrl) {
-      console.log(`gTS(${sourceContainerId},"${pageUrl}")`);
-      const defaultTransitionKey = this.getDefaultTransitionStoreKey(sourceContainerId);
-      if(!pageUrl) {
-        return new Promise((resolve, reject) => {
-          this.area.get([defaultTransitionKey]).then((storageResponse) => { 
-            if(storageResponse && defaultTransitionKey in storageResponse) {
-              resolve(storageResponse[defaultTransitionKey]);
-            } else {
-              resolve({userContextId:sourceContainerId, neverAsk:true});
-            } 
-          }).catch((e) => { 
-            reject(e);
-          });
-        }); 
-      } else {
-        const transitionStoreKey = this.getTransitionStoreKey(sourceContainerId, pageUrl);
-        return new Promise((resolve, reject) => {
-          this.area.get([transitionStoreKey,defaultTransitionKey]).then((storageResponse) => { 
-            if (storageResponse && transitionStoreKey in storageResponse) {
-              resolve(storageResponse[transitionStoreKey]);
-            } else if(storageResponse && defaultTransitionKey in storageResponse) {
-              resolve(storageResponse[defaultTransitionKey]);
-            } else {
-              resolve({userContextId:sourceContainerId, neverAsk:true});
-            } 
-          }).catch((e) => { 
-            reject(e);
-          });
+    // The id a tab had when it got exempted, which its session value keeps across restarts
+    async getRestoredTabId(tab) {
+      const oldTabId = await browser.sessions.getTabValue(tab.id, this.tabIdSessionKey);
+      if (typeof oldTabId !== "undefined" && oldTabId !== tab.id) {
+        await browser.sessions.setTabValue(tab.id, this.tabIdSessionKey, tab.id);
+      }
+      return oldTabId;
+    },
+
+    // Gives a tab that session restore brings back after the exemptions were loaded the ones
+    //   waiting for it
+    async adoptRestoredTab(tab) {
+      const oldTabId = await this.getRestoredTabId(tab);
+      if (typeof oldTabId === "undefined") {
+        return;
+      }
+      let changed = false;
+      Object.keys(this.exemptedTabs).forEach((siteStoreKey) => {
+        this.exemptedTabs[siteStoreKey].forEach((exemption) => {
+          if (exemption.restoring && exemption.tabId === oldTabId) {
+            exemption.tabId = tab.id;
+            delete exemption.restoring;
+            changed = true;
+          }
         });
+      });
+      if (changed) {
+        await this.saveExempted();
       }
     },
 
+    // A browser restart ends the exemptions that last for the session
+    endSession() {
+      Object.keys(this.exemptedTabs).forEach((siteStoreKey) => {
+        this.exemptedTabs[siteStoreKey] = this.exemptedTabs[siteStoreKey].filter((exemption) => {
+          return exemption.lifetime !== assignManager.EXEMPT_SESSION;
+        });
+      });
+      return this.saveExempted();
+    },
+
+    // The most specific assignment matching pageUrl, with its hostname
+    //   (exact host or wildcard pattern) filled in, or null if there is none
+    findAssignment(pageUrl) {
+      const match = this.getCandidateStoreKeys(pageUrl).find((candidate) => {
+        return candidate.siteStoreKey in this.rules
+          && (candidate.exact || this.rules[candidate.siteStoreKey].includeSubdomains);
+      });
+      if (!match) {
+        return null;
+      }
+      return Object.assign(this.getRule(match.siteStoreKey), {
+        hostname: this.getHostnameFromStoreKey(match.siteStoreKey)
+      });
+    },
+
+    async get(pageUrl) {
+      await this.loadRules();
+      return this.findAssignment(pageUrl);
+    },
+
+    // Like findTransitionSettings, but staying in the source container when there is no rule
+    async getTransitionSettings(sourceContainerId, pageUrl, originUrl) {
+      const siteSettings = await this.findTransitionSettings(sourceContainerId, pageUrl, originUrl);
+      return siteSettings || {userContextId:sourceContainerId, neverAsk:true};
+    },
+
+    // Looks up the rule for a navigation from sourceContainerId to pageUrl, most specific first:
+    //   the rule for links from the site of originUrl, the rule for pageUrl, the default rule.
+    //   Resolves to null if none of them is stored.
+    async findTransitionSettings(sourceContainerId, pageUrl, originUrl) {
+      assignManager.log.debug(`findTransitionSettings(${sourceContainerId}, "${pageUrl}", "${originUrl}")`);
+      const transitionRule = await this.findTransitionRule(sourceContainerId, pageUrl, originUrl);
+      return transitionRule && transitionRule.siteSettings;
+    },
+
+    // Like findTransitionSettings, with {storeKey, siteSettings} of the rule
+    findTransition(sourceContainerId, pageUrl, originUrl) {
+      const transitionStoreKeys = [];
+      if (pageUrl) {
+        if (originUrl) {
+          transitionStoreKeys.push(this.getTransitionStoreKey(sourceContainerId, pageUrl, originUrl));
+        }
+        transitionStoreKeys.push(this.getTransitionStoreKey(sourceContainerId, pageUrl));
+      }
+      transitionStoreKeys.push(this.getDefaultTransitionStoreKey(sourceContainerId));
+      const transitionStoreKey = transitionStoreKeys.find((key) => key in this.rules);
+      if (!transitionStoreKey) {
+        return null;
+      }
+      return {
+        storeKey: transitionStoreKey,
+        siteSettings: this.getRule(transitionStoreKey)
+      };
+    },
+
+    async findTransitionRule(sourceContainerId, pageUrl, originUrl) {
+      await this.loadRules();
+      return this.findTransition(sourceContainerId, pageUrl, originUrl);
+    },
+
+    // Resolves to the origin specific rules for pageUrl as {originHostname: settings}
+    async getOriginTransitionSettings(sourceContainerId, pageUrl) {
+      await this.loadRules();
+      const keyPrefix = `${this.getTransitionStoreKey(sourceContainerId, pageUrl)}@@_`;
+      const originTransitions = {};
+      Object.keys(this.rules).forEach((key) => {
+        if (key.startsWith(keyPrefix)) {
+          originTransitions[key.substr(keyPrefix.length)] = this.getRule(key);
+        }
+      });
+      return originTransitions;
+    },
+
     set(pageUrl, data, exemptedTabIds) {
       const siteStoreKey = this.getSiteStoreKey(pageUrl);
       if (exemptedTabIds) {
         exemptedTabIds.forEach((tabId) => {
-          this.setExempted(pageUrl, tabId);
+          this.setExempted(pageUrl, tabId, assignManager.EXEMPT_REASON_ASSIGNED);
         });
       }
-      return this.area.set({
+      return this.setRules({
         [siteStoreKey]: data
       });
     },
 
+    setByHostname(hostname, data) {
+      return this.setRules({
+        [this.getHostnameStoreKey(hostname)]: data
+      });
+    },
+
     remove(pageUrl) {
       const siteStoreKey = this.getSiteStoreKey(pageUrl);
       // When we remove an assignment we should clear all the exemptions
       this.removeExempted(pageUrl);
-      return this.area.remove([siteStoreKey]);
+      return this.removeRules([siteStoreKey]);
+    },
+
+    removeByHostname(hostname, pageUrl) {
+      this.removeExempted(pageUrl);
+      return this.removeRules([this.getHostnameStoreKey(hostname)]);
+    },
+
+    async getByHostname(hostname) {
+      await this.loadRules();
+      return this.getRule(this.getHostnameStoreKey(hostname));
+    },
+
+    // A site can be assigned to several containers, listed in candidates, and its
+    //   userContextId is then the first of them. lastChoices maps source containers
+    //   to the candidate picked for them on the confirm page.
+    getCandidates(siteSettings) {
+      return siteSettings.candidates || [siteSettings.userContextId];
+    },
+
+    // Returns a copy of the assignment with userContextId added to or removed from its
+    //   candidates, or null when no candidate is left
+    withCandidate(siteSettings, userContextId, remove) {
+      const candidates = this.getCandidates(siteSettings).filter((candidate) => {
+        return String(candidate) !== String(userContextId);
+      });
+      if (!remove) {
+        candidates.push(userContextId);
+      }
+      if (!candidates.length) {
+        return null;
+      }
+      const updated = Object.assign({}, siteSettings, {userContextId: candidates[0]});
+      delete updated.hostname;
+      delete updated.candidates;
+      if (candidates.length > 1) {
+        updated.candidates = candidates;
+      }
+      if (updated.lastChoices) {
+        const lastChoices = {};
+        Object.keys(updated.lastChoices).forEach((sourceId) => {
+          if (candidates.includes(updated.lastChoices[sourceId])) {
+            lastChoices[sourceId] = updated.lastChoices[sourceId];
+          }
+        });
+        updated.lastChoices = lastChoices;
+      }
+      return updated;
     },
 
-    setTransitionSettings(sourceContainerId, pageUrl, data) {
+    setTransitionSettings(sourceContainerId, pageUrl, data, originUrl) {
       if(pageUrl) {
-        const transitionStoreKey = this.getTransitionStoreKey(sourceContainerId, pageUrl);
-        return this.area.set({ [transitionStoreKey]: data });
+        const transitionStoreKey = this.getTransitionStoreKey(sourceContainerId, pageUrl, originUrl);
+        return this.setRules({ [transitionStoreKey]: data });
       } else {
         const defaultTransitionKey = this.getDefaultTransitionStoreKey(sourceContainerId);
-        return this.area.set({ [defaultTransitionKey]: data });
+        return this.setRules({ [defaultTransitionKey]: data });
       }
     },
 
-    removeTransitionSettings(sourceContainerId, pageUrl) {
-       if(pageUrl) {
-         const transitionStoreKey = this.getTransitionStoreKey(sourceContainerId, pageUrl);
-         return this.area.remove([transitionStoreKey]);
-       } else { 
-         // do not remove default transition settings
-       }
+    // Without an originUrl this also drops the origin specific rules for pageUrl
+    async removeTransitionSettings(sourceContainerId, pageUrl, originUrl) {
+      if(pageUrl) {
+        const transitionStoreKey = this.getTransitionStoreKey(sourceContainerId, pageUrl, originUrl);
+        if (originUrl) {
+          return this.removeRules([transitionStoreKey]);
+        }
+        const originTransitions = await this.getOriginTransitionSettings(sourceContainerId, pageUrl);
+        const originStoreKeys = Object.keys(originTransitions).map((originHostname) => {
+          return `${transitionStoreKey}@@_${originHostname}`;
+        });
+        return this.removeRules([transitionStoreKey, ...originStoreKeys]);
+      } else {
+        // do not remove default transition settings
+      }
     },
 
+    // Sites with other candidates left only lose the container from their candidates
     async deleteContainer(userContextId) {
       const sitesByContainer = await this.getByContainer(userContextId);
-      this.area.remove(Object.keys(sitesByContainer));
+      const changedRules = {};
+      const removedKeys = [];
+      Object.keys(sitesByContainer).forEach((key) => {
+        if (sitesByContainer[key].candidates) {
+          changedRules[key] = this.withCandidate(sitesByContainer[key], userContextId, true);
+        } else {
+          removedKeys.push(key);
+        }
+      });
+      await Promise.all([this.setRules(changedRules), this.removeRules(removedKeys)]);
     },
 
     async getByContainer(userContextId) {
+      await this.loadRules();
       const sites = {};
-      const siteConfigs = await this.area.get();
-      Object.keys(siteConfigs).forEach((key) => {
-        // For some reason this is stored as string... lets check them both as that
-        if (String(siteConfigs[key].userContextId) === String(userContextId)) {
-          const site = siteConfigs[key];
-          // In hindsight we should have stored this
-          // TODO file a follow up to clean the storage onLoad
+      // setRules stores them as strings, the index has them as strings either way
+      (this.rulesByContainer[String(userContextId)] || []).forEach((key) => {
+        const site = this.getRule(key);
+        // URL rules carry their own pattern, the store key of the others is what tells their hostname
+        if (!key.startsWith("siteUrlRule@@_")) {
           site.hostname = key.replace(/^siteContainerMap@@_/, "");
-          sites[key] = site;
         }
+        sites[key] = site;
       });
       return sites;
     }
   },
 
-  _neverAsk(m) {
+  // m.ruleKey is the store key of the rule the confirm page asked for, without one the
+  //   assignment of m.pageUrl is the rule that stops asking
+  async _neverAsk(m) {
     const pageUrl = m.pageUrl;
-    if (m.neverAsk === true) {
+    if (m.neverAsk === true && m.ruleKey) {
+      await this.storageArea.loadRules();
+      const siteSettings = this.storageArea.getRule(m.ruleKey);
+      if (siteSettings) {
+        siteSettings.neverAsk = true;
+        await this.storageArea.setRules({[m.ruleKey]: siteSettings});
+      }
+    } else if (m.neverAsk === true) {
       // If we have existing data and for some reason it hasn't been deleted etc lets update it
       this.storageArea.get(pageUrl).then((siteSettings) => {
         if (siteSettings) {
+          const hostname = siteSettings.hostname;
+          delete siteSettings.hostname;
           siteSettings.neverAsk = true;
-          this.storageArea.set(pageUrl, siteSettings);
+          this.storageArea.setByHostname(hostname, siteSettings);
         }
       }).catch((e) => {
         throw e;
@@ -176,79 +759,482 @@ const assignManager = {
   // We return here so the confirm page can load the tab when exempted
   async _exemptTab(m) {
     const pageUrl = m.pageUrl;
-    this.storageArea.setExempted(pageUrl, m.tabId);
+    const tab = await browser.tabs.get(m.tabId);
+    this.storageArea.setExempted(pageUrl, m.tabId, this.EXEMPT_REASON_CONFIRM, m.lifetime, tab && tab.cookieStoreId);
     return true;
   },
-  async computeSiteSettings(sourceContextId, url, hasOriginUrl=false) {
-    console.log(`computeSiteSettings(${sourceContextId},${url},${hasOriginUrl})`);
+
+  // The confirm page opens the page in whichever container the user picked, so the
+  //   new tab is exempted from the rules that may point elsewhere
+  //   m.currentCookieStoreId and m.openerTabId tell where the navigation came from.
+  async _openInContainer(m) {
+    let tab;
+    if (m.cookieStoreId === temporaryContainers.TARGET) {
+      tab = await temporaryContainers.openTab(m.url, {index: m.index});
+    } else {
+      tab = await browser.tabs.create({
+        url: m.url,
+        cookieStoreId: m.cookieStoreId,
+        index: m.index
+      });
+    }
+    this.storageArea.setExempted(m.url, tab.id, this.EXEMPT_REASON_OPENED);
+    this.setProvenance(tab.id, {
+      openerTabId: m.openerTabId,
+      sourceContainerId: backgroundLogic.getUserContextIdFromCookieStoreId(m.currentCookieStoreId),
+      url: m.url,
+      rule: {type: "confirm"}
+    });
+    return tab;
+  },
+
+  // provenance is {openerTabId, sourceContainerId, url, rule} with rule as found by findRule,
+  //   or of type "confirm" when the user picked the container on the confirm page
+  setProvenance(tabId, provenance) {
+    this.tabProvenance[tabId] = Object.assign({time: Date.now()}, provenance);
+    browser.sessions.setTabValue(tabId, this.PROVENANCE_KEY, this.tabProvenance[tabId]).catch(() => {
+      // The tab is gone already
+    });
+  },
+
+  // Resolves to the provenance of a tab, or null if the rules didn't open it
+  async getProvenance(tabId) {
+    if (!(tabId in this.tabProvenance)) {
+      // Tabs restored after a restart only have their session value
+      try {
+        this.tabProvenance[tabId] = await browser.sessions.getTabValue(tabId, this.PROVENANCE_KEY) || null;
+      } catch (e) {
+        this.tabProvenance[tabId] = null;
+      }
+    }
+    return this.tabProvenance[tabId];
+  },
+
+  // The provenance of a tab for the popup header, with a description of its rule
+  async _getProvenance(m) {
+    const provenance = await this.getProvenance(m.tabId);
+    if (!provenance) {
+      return null;
+    }
+    const identities = await browser.contextualIdentities.query({});
+    const names = {};
+    identities.forEach((identity) => {
+      names[backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId)] = identity.name;
+    });
+    let description = "You picked the container on the confirm page";
+    if (provenance.rule.storeKey) {
+      description = backup.describe(provenance.rule.storeKey, names);
+    }
+    return Object.assign({description}, provenance);
+  },
+
+  // Lets the user know a rule silently moved a page to another container, with buttons
+  //   to undo that or edit the rule. The toast waits for the page to load.
+  async notifyReroute(tab, rule) {
+    let name = "Default";
+    if (tab.cookieStoreId && tab.cookieStoreId !== "firefox-default") {
+      try {
+        name = (await browser.contextualIdentities.get(tab.cookieStoreId)).name;
+      } catch (e) {
+        // Gone already
+        return;
+      }
+    }
+    const actions = [{label: "Undo", message: {method: "undoProvenance", tabId: tab.id}}];
+    if (rule) {
+      actions.push({label: "Edit rule", message: {method: "editRule", tabId: tab.id}});
+    }
+    this.pendingToasts[tab.id] = {
+      text: `Opened in ${name} by a rule`,
+      actions
+    };
+  },
+
+  // Opens the popup on the panel where the rule that moved a tab can be changed. Browsers
+  //   only open the popup on a user action, failing that it opens there the next time.
+  async _editRule(m) {
+    const provenance = await this.getProvenance(m.tabId);
+    if (!provenance) {
+      return;
+    }
+    await this.storageArea.area.set({
+      [this.PENDING_PANEL_KEY]: {
+        tabId: m.tabId,
+        sourceContainerId: provenance.sourceContainerId,
+        ruleType: provenance.rule.type
+      }
+    });
+    try {
+      await browser.browserAction.openPopup();
+    } catch (e) {
+      browser.tabs.sendMessage(m.tabId, {
+        text: "Open the Containers with Transitions menu to edit the rule"
+      });
+    }
+  },
+
+  // Resolves to the panel left by _editRule if it is for the tab the popup opens on
+  async _takePendingPanel(m) {
+    const storageResponse = await this.storageArea.area.get([this.PENDING_PANEL_KEY]);
+    const pendingPanel = storageResponse && storageResponse[this.PENDING_PANEL_KEY];
+    if (!pendingPanel) {
+      return null;
+    }
+    await this.storageArea.area.remove([this.PENDING_PANEL_KEY]);
+    return pendingPanel.tabId === m.tabId ? pendingPanel : null;
+  },
+
+  // Reopens a tab the rules moved in the container it came from, exempted so that the same
+  //   rule doesn't move it again, and closes the tab
+  async _undoProvenance(m) {
+    const provenance = await this.getProvenance(m.tabId);
+    if (!provenance) {
+      return null;
+    }
+    const tab = await browser.tabs.get(m.tabId);
+    const newTab = await browser.tabs.create({
+      url: tab.url,
+      cookieStoreId: backgroundLogic.cookieStoreId(provenance.sourceContainerId),
+      index: tab.index,
+      active: tab.active
+    });
+    this.storageArea.setExempted(tab.url, newTab.id, this.EXEMPT_REASON_UNDONE);
+    await browser.tabs.remove(tab.id);
+    return newTab;
+  },
+
+  // Exemptions in effect, with the title of their tab
+  async _getExemptions() {
+    const tabs = await browser.tabs.query({});
+    return this.storageArea.getExemptions().map((exemption) => {
+      const tab = tabs.find((tab) => tab.id === exemption.tabId);
+      return Object.assign({title: tab ? tab.title : ""}, exemption);
+    });
+  },
+
+  // The exemption that keeps the rules from applying to the page a tab shows, if any
+  _getExemption(tab) {
+    const hostname = this.storageArea.getHostnameFromStoreKey(this.storageArea.getSiteStoreKey(tab.url));
+    return this.storageArea.getExemptions().find((exemption) => {
+      return exemption.hostname === hostname && this.storageArea.appliesTo(exemption, tab.id, tab.cookieStoreId);
+    }) || null;
+  },
+
+  _removeExemption(hostname, tabId) {
+    if (typeof tabId === "undefined") {
+      return this.storageArea.clearExemptions();
+    }
+    return this.storageArea.removeExemption(hostname, tabId);
+  },
+  async computeSiteSettings(sourceContextId, url, originUrl) {
+    this.log.debug(`computeSiteSettings(${sourceContextId}, "${url}", "${originUrl}")`);
+    const {siteSettings} = await this.findRule(sourceContextId, url, originUrl);
+    return siteSettings;
+  },
+
+  // Resolves to {siteSettings, rule} where rule tells where the settings came from:
+  //   {type: "transition", "defaultTransition", "urlRule" or "assignment", storeKey} for a stored rule,
+  //   {type: "fallback", reason} when the page stays in the source container for lack of one
+  async findRule(sourceContextId, url, originUrl) {
+    await this.storageArea.loadRules();
+    return this.matchRule(sourceContextId, url, originUrl);
+  },
+
+  // findRule for when the rules are loaded
+  matchRule(sourceContextId, url, originUrl) {
+    const stay = (reason) => {
+      return {
+        siteSettings: {userContextId:sourceContextId, neverAsk:true},
+        rule: {type: "fallback", reason}
+      };
+    };
     //  If we don't have an origin URL, the request was manually initiated by the user,
     // and so should not be treated as a container transition;
     // we instead fall back to old-style container assignments.
-    //  We also currently use the old-style container assignments for transitions from
-    // the default container. Perhaps this should be changed.
-    if(!hasOriginUrl || sourceContextId === false) {
-      const siteSettings = await this.storageArea.get(url);
-      if(siteSettings) {
-        return siteSettings;
-      } else {
-        return {userContextId:sourceContextId, neverAsk:true};
-      }
-    } else {
-      const siteSettings = await this.storageArea.getTransitionSettings(sourceContextId, url);
-      if(siteSettings) {
-        return siteSettings;
-      } else {
-        return {userContextId:sourceContextId, neverAsk:true};
+    //  The default container has transition rules of its own, but as long as none of them
+    // matches we keep using the old-style container assignments for transitions from it.
+    if(originUrl) {
+      const transitionRule = this.storageArea.findTransition(sourceContextId, url, originUrl);
+      if(transitionRule) {
+        return {
+          siteSettings: transitionRule.siteSettings,
+          rule: {
+            type: transitionRule.storeKey.endsWith("@@_default") ? "defaultTransition" : "transition",
+            storeKey: transitionRule.storeKey
+          }
+        };
+      } else if(sourceContextId !== false) {
+        return stay("No transition rule matches links from this container, so they stay in it");
       }
     }
+    const urlRule = this.storageArea.findUrlRule(url);
+    if (urlRule) {
+      return {
+        siteSettings: urlRule,
+        rule: {type: "urlRule", storeKey: this.storageArea.getUrlRuleStoreKey(urlRule.type, urlRule.pattern)}
+      };
+    }
+    const assignment = this.storageArea.findAssignment(url);
+    if (assignment) {
+      return {
+        siteSettings: assignment,
+        rule: {type: "assignment", storeKey: this.storageArea.getHostnameStoreKey(assignment.hostname)}
+      };
+    }
+    return stay("The site isn't assigned to a container, so it stays in the current one");
+  },
+
+  // Works out what onBeforeRequest would do with a navigation without carrying it out.
+  //   m.originUrl is the page a link is followed from, none for a typed URL.
+  //   m.tabId optionally names the tab whose exemptions are taken into account.
+  //   Resolves to {action, userContextId, prompt, candidates, rule, reason}.
+  async simulateNavigation(m) {
+    const sourceContextId = backgroundLogic.getUserContextIdFromCookieStoreId(m.cookieStoreId);
+    const identities = await browser.contextualIdentities.query({});
+    const names = {};
+    identities.forEach((identity) => {
+      names[backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId)] = identity.name;
+    });
+    const result = {
+      action: this.ACTION_STAY,
+      userContextId: sourceContextId,
+      prompt: false,
+      candidates: null,
+      rule: null,
+      reason: ""
+    };
+    const stay = (reason) => Object.assign(result, {reason});
+
+    if (m.tabId && this.storageArea.isExempted(m.url, m.tabId, m.cookieStoreId)) {
+      return stay("The tab is exempted from the rules for this site");
+    }
+
+    const {siteSettings, rule} = await this.findRule(sourceContextId, m.url, m.originUrl);
+    result.rule = Object.assign({}, rule);
+    if (rule.storeKey) {
+      result.rule.description = backup.describe(rule.storeKey, names);
+    }
+    const toTemporary = siteSettings.userContextId === temporaryContainers.TARGET;
+    if (siteSettings.userContextId && !toTemporary && !(siteSettings.userContextId in names)) {
+      return stay("The container of the rule no longer exists, the rule would be removed");
+    }
+    if (m.originUrl && new window.URL(m.originUrl).hostname === new window.URL(m.url).hostname) {
+      return stay("Links within a site never change container");
+    }
+
+    const action = siteSettings.action || this.ACTION_OPEN;
+    if (rule.type === "fallback") {
+      return stay(rule.reason);
+    }
+    if (action === this.ACTION_STAY) {
+      return stay("The rule keeps the page in the current container");
+    }
+    if (action === this.ACTION_OPEN && this.storageArea.getCandidates(siteSettings).includes(sourceContextId)) {
+      return stay("The page is already in a container the rule allows");
+    }
+    if (action === this.ACTION_OPEN && toTemporary && await temporaryContainers.isTemporary(m.cookieStoreId)) {
+      return stay("The page is already in a temporary container");
+    }
+    if (action !== this.ACTION_OPEN) {
+      return Object.assign(result, {
+        action,
+        userContextId: null,
+        reason: action === this.ACTION_BLOCK ? "The rule blocks the navigation" : "The rule opens the page in a private window"
+      });
+    }
+
+    const target = this.chooseCandidate(siteSettings, sourceContextId);
+    let reason = "The rule opens the page in another container";
+    if (target.candidates) {
+      reason = target.neverAsk
+        ? "The site has several containers, this one was chosen last time"
+        : "The site has several containers, the user picks one";
+    }
+    return Object.assign(result, {
+      action,
+      userContextId: target.userContextId,
+      prompt: !target.neverAsk,
+      candidates: target.candidates,
+      reason
+    });
   },
   async openInNewTab(sourceTabId, url) {
-    //console.log(`openInNewTab(${sourceTabId},${url})`);
+    this.log.debug(`openInNewTab(${sourceTabId}, "${url}")`);
     const tab = await browser.tabs.get(sourceTabId);
     if(tab.incognito) { 
       // this exempts all forwards for the future, so we aren't worried about followup transitions
       browser.tabs.create({url, cookieStoreId: tab.cookieStoreId, active:false, openerTabId:sourceTabId}).then( (t) => {
-            this.storageArea.setExempted(url,t.id);
+            this.storageArea.setExempted(url, t.id, this.EXEMPT_REASON_OPENED);
        } ); 
     } else {
       const sourceContextId = this.getUserContextIdFromCookieStore(tab);
-      const siteSettings = await this.computeSiteSettings(sourceContextId, url, true); 
+      // The page the link was clicked on is the origin of the navigation
+      const {siteSettings, rule} = await this.findRule(sourceContextId, url, tab.url);
+      if (siteSettings.action === this.ACTION_BLOCK || siteSettings.action === this.ACTION_PRIVATE) {
+        this.runTransitionAction(siteSettings.action, url, sourceTabId);
+        return;
+      }
+      const target = this.chooseCandidate(siteSettings, sourceContextId);
       this.reloadPageInContainer(
         url,
         sourceContextId,
-        siteSettings.userContextId,
+        target.userContextId,
         null,
         false,
-        siteSettings.neverAsk,
-        sourceTabId
+        target.neverAsk,
+        sourceTabId,
+        target.candidates,
+        rule
       );
     }
   },
 
+  // Picks where a site assigned to several containers opens: the candidate last chosen
+  //   for this source container, otherwise the confirm page lets the user choose
+  chooseCandidate(siteSettings, sourceContextId) {
+    const candidates = this.storageArea.getCandidates(siteSettings);
+    if (candidates.length < 2) {
+      return {userContextId: siteSettings.userContextId, neverAsk: siteSettings.neverAsk, candidates: null};
+    }
+    const sourceId = this.storageArea.getTransitionSourceId(sourceContextId);
+    const lastChoice = siteSettings.lastChoices && siteSettings.lastChoices[sourceId];
+    return {
+      userContextId: lastChoice || siteSettings.userContextId,
+      neverAsk: !!lastChoice && siteSettings.neverAsk,
+      candidates
+    };
+  },
+
+  async _rememberCandidateChoice(m) {
+    const siteSettings = await this.storageArea.get(m.pageUrl);
+    const userContextId = String(m.userContextId);
+    if (!siteSettings || !siteSettings.candidates || !siteSettings.candidates.includes(userContextId)) {
+      return;
+    }
+    const hostname = siteSettings.hostname;
+    delete siteSettings.hostname;
+    siteSettings.lastChoices = Object.assign({}, siteSettings.lastChoices, {
+      [this.storageArea.getTransitionSourceId(m.sourceContainerId)]: userContextId
+    });
+    return this.storageArea.setByHostname(hostname, siteSettings);
+  },
+
+  // Carries out the block and private window actions of transition rules for a canceled navigation,
+  //   noticeTabId is the tab the user gets told about it in
+  async runTransitionAction(action, url, noticeTabId) {
+    const hostname = new window.URL(url).hostname;
+    if (action === this.ACTION_BLOCK) {
+      if (noticeTabId) {
+        browser.tabs.sendMessage(noticeTabId, {
+          text: `Blocked navigation to ${hostname} by a transition rule`
+        });
+      }
+      return;
+    }
+    try {
+      await browser.windows.create({url, incognito: true});
+    } catch (e) {
+      // Not allowed to run in private windows
+      if (noticeTabId) {
+        browser.tabs.sendMessage(noticeTabId, {
+          text: `Could not open ${hostname} in a private window`
+        });
+      }
+    }
+  },
+
   // Before a request is handled by the browser we decide if we should route through a different container
-  async onBeforeRequest(options) {
-    console.log(`onBeforeRequest(${JSON.stringify(options)})`);
+  onBeforeRequest(options) {
+    this.log.debug(`onBeforeRequest(${JSON.stringify(options)})`);
     if (options.frameId !== 0 || options.tabId === -1) {
       return {};
     }
     this.removeContextMenu();
 
+    // Most requests stay where they are, which the rules in memory can often tell without waiting
+    return this.answerFromRules(options) || this.routeRequest(options);
+  },
+
+  // Lets a request through right away if the rules in memory show it stays in its tab, null
+  //   when routeRequest has to decide. This needs the container of the tab, which Firefox
+  //   adds to the request details since version 77.
+  answerFromRules(options) {
+    if (!this.storageArea.rules || !("cookieStoreId" in options)) {
+      return null;
+    }
+    // Nothing is kept about private browsing
+    if (options.incognito) {
+      return {};
+    }
+    const userContextId = this.getUserContextIdFromCookieStore(options);
+    const logDecision = (rule) => {
+      routingLog.record({
+        tabId: options.tabId,
+        sourceContainerId: userContextId,
+        url: options.url,
+        rule,
+        outcome: routingLog.OUTCOME_NONE
+      });
+    };
+    if (this.storageArea.isExempted(options.url, options.tabId, options.cookieStoreId)) {
+      logDecision({type: "exemption"});
+      return {};
+    }
+
+    const {siteSettings, rule} = this.matchRule(userContextId, options.url, options.originUrl);
+    // Whether the container of a rule still exists can't be told without waiting,
+    //   unless it is the default one or the one of the tab
+    if (siteSettings.userContextId && String(siteSettings.userContextId) !== String(userContextId)) {
+      return null;
+    }
+    if (options.originUrl && new window.URL(options.originUrl).hostname === new window.URL(options.url).hostname) {
+      this.storageArea.setExempted(options.url, options.tabId, this.EXEMPT_REASON_SAME_SITE);
+      logDecision({type: "sameHost"});
+      return {};
+    }
+    const action = siteSettings.action || this.ACTION_OPEN;
+    if (action === this.ACTION_STAY
+        || (action === this.ACTION_OPEN && this.storageArea.getCandidates(siteSettings).includes(userContextId))) {
+      this.log.debug(`No transition for ${options.url} in tab ${options.tabId}`);
+      logDecision(rule);
+      return {};
+    }
+    return null;
+  },
+
+  async routeRequest(options) {
     // need to sequence these requests now
     const tab = await browser.tabs.get(options.tabId); 
+    const userContextId = this.getUserContextIdFromCookieStore(tab);
+    const logDecision = (rule, outcome, targetContainerId) => {
+      routingLog.record({
+        tabId: tab.id,
+        sourceContainerId: userContextId,
+        url: options.url,
+        rule,
+        outcome,
+        targetContainerId
+      });
+    };
 
     // early exemption
     if (tab.incognito
-        || this.storageArea.isExempted(options.url, tab.id)) {
-      console.log("Exempted."); 
+        || this.storageArea.isExempted(options.url, tab.id, tab.cookieStoreId)) {
+      this.log.debug(`Tab ${tab.id} is exempted from the rules for ${options.url}`);
+      // Nothing is kept about private browsing
+      if (!tab.incognito) {
+        logDecision({type: "exemption"}, routingLog.OUTCOME_NONE);
+      }
       return {};
     }
 
-    const userContextId = this.getUserContextIdFromCookieStore(tab);
-    const siteSettings = await this.computeSiteSettings(userContextId, options.url, Boolean(options.originUrl));
+    const {siteSettings, rule} = await this.findRule(userContextId, options.url, options.originUrl);
     
+    const toTemporary = siteSettings && siteSettings.userContextId === temporaryContainers.TARGET;
     let container;
     try {
-      container = await browser.contextualIdentities.get(backgroundLogic.cookieStoreId(siteSettings.userContextId));
+      container = toTemporary
+        || await browser.contextualIdentities.get(backgroundLogic.cookieStoreId(siteSettings.userContextId));
     } catch (e) {
       container = false;
     }
@@ -258,9 +1244,9 @@ const assignManager = {
     // Don't wipe if userContextId=false (i.e. we are told to transition to default)!
     if (siteSettings && siteSettings.userContextId && !container) {
       this.deleteContainer(siteSettings.userContextId);
+      logDecision(rule, routingLog.OUTCOME_NONE);
       return {};
     }
-    console.log(options); 
     // If a page has been opened in a nonstandard container, the exemption flag for that
     //   tab will have been set, so following links in the same tab will not trigger new
     //   prompts about the container in which to open the page. However, opening links
@@ -272,14 +1258,20 @@ const assignManager = {
       if(originUrl.hostname === newUrl.hostname) {
         // in fact, set this URL-tab combo exempted so future manual browsing
         //   within it does also not trigger new prompts
-        this.storageArea.setExempted(options.url, options.tabId);
+        this.storageArea.setExempted(options.url, options.tabId, this.EXEMPT_REASON_SAME_SITE);
+        logDecision({type: "sameHost"}, routingLog.OUTCOME_NONE);
         return {};
       }
     }
 
+    const action = siteSettings && siteSettings.action || this.ACTION_OPEN;
     if (!siteSettings
-        || userContextId === siteSettings.userContextId) {
-      console.log("No transition."); 
+        || action === this.ACTION_STAY
+        || (action === this.ACTION_OPEN && this.storageArea.getCandidates(siteSettings).includes(userContextId))
+        // Any temporary container will do for a page that should open in a new one
+        || (action === this.ACTION_OPEN && toTemporary && await temporaryContainers.isTemporary(tab.cookieStoreId))) {
+      this.log.debug(`No transition for ${options.url} in tab ${tab.id}`);
+      logDecision(rule, routingLog.OUTCOME_NONE);
       return {};
     } 
     const removeTab = backgroundLogic.NEW_TAB_PAGES.has(tab.url)
@@ -318,21 +1310,32 @@ const assignManager = {
       this.canceledRequests[tab.id].requestIds[options.requestId] = true;
       this.canceledRequests[tab.id].urls[options.url] = true;
       if (cancelEarly) {
+        logDecision(rule, routingLog.OUTCOME_CANCELED);
         return {
           cancel: true
         };
       }
     }
 
-    this.reloadPageInContainer(
-      options.url,
-      userContextId,
-      siteSettings.userContextId,
-      tab.index + 1,
-      tab.active,
-      siteSettings.neverAsk,
-      openTabId
-    );
+    if (action === this.ACTION_OPEN) {
+      const target = this.chooseCandidate(siteSettings, userContextId);
+      this.reloadPageInContainer(
+        options.url,
+        userContextId,
+        target.userContextId,
+        tab.index + 1,
+        tab.active,
+        target.neverAsk,
+        openTabId,
+        target.candidates,
+        rule
+      );
+      logDecision(rule, target.neverAsk ? routingLog.OUTCOME_REOPEN : routingLog.OUTCOME_CONFIRM, target.userContextId);
+    } else {
+      // The notice goes to the page the navigation came from
+      this.runTransitionAction(action, options.url, removeTab ? tab.openerTabId : tab.id);
+      logDecision(rule, action === this.ACTION_BLOCK ? routingLog.OUTCOME_BLOCKED : routingLog.OUTCOME_PRIVATE);
+    }
     this.calculateContextMenu(tab);
 
     /* Removal of existing tabs:
@@ -377,6 +1380,39 @@ const assignManager = {
       }
     },{urls: ["<all_urls>"], types: ["main_frame"]});
 
+    this.tabProvenance = {};
+    this.pendingToasts = {};
+    browser.tabs.onRemoved.addListener((tabId) => {
+      this.storageArea.removeExemptedTab(tabId);
+      delete this.tabProvenance[tabId];
+      delete this.pendingToasts[tabId];
+    });
+    browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (changeInfo.status === "complete" && this.pendingToasts[tabId]) {
+        browser.tabs.sendMessage(tabId, this.pendingToasts[tabId]);
+        delete this.pendingToasts[tabId];
+      }
+    });
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local") {
+        this.storageArea.applyRuleChanges(changes);
+      }
+    });
+    this.storageArea.loadRules();
+
+    // Only a browser restart ends the session, not reloading the add-on. The exemptions
+    //   are loaded once, and those of the last session dropped after that.
+    this.storageArea.exemptionsLoading = this.storageArea.loadExempted();
+    browser.runtime.onStartup.addListener(() => {
+      this.storageArea.exemptionsLoading = this.storageArea.exemptionsLoading.then(() => {
+        return this.storageArea.endSession();
+      });
+    });
+    browser.tabs.onCreated.addListener((tab) => {
+      this.storageArea.exemptionsLoading.then(() => this.storageArea.adoptRestoredTab(tab)).catch(() => {
+        // The tab is already gone
+      });
+    });
   },
 
   async _onClickedHandler(info, tab) {
@@ -412,7 +1448,181 @@ const assignManager = {
 
 
   deleteContainer(userContextId) {
-    this.storageArea.deleteContainer(userContextId);
+    return this.storageArea.deleteContainer(userContextId);
+  },
+
+  // The rules a container is part of, for the delete panel: the assignments and URL rules
+  //   opening pages in it and the transition rules to and from it, as {key, description, outbound}
+  //   where outbound tells the transition rules from it
+  async _getContainerRules(userContextId) {
+    await this.storageArea.loadRules();
+    const identities = await browser.contextualIdentities.query({});
+    const names = {};
+    identities.forEach((identity) => {
+      names[backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId)] = identity.name;
+    });
+    const keys = new Set(this.storageArea.rulesByContainer[String(userContextId)] || []);
+    const outboundPrefix = `siteTransition@@_${userContextId}@@_`;
+    Object.keys(this.storageArea.rules).forEach((key) => {
+      if (key.startsWith(outboundPrefix)) {
+        keys.add(key);
+      }
+    });
+    return Array.from(keys).sort().map((key) => {
+      return {key, description: backup.describe(key, names), outbound: key.startsWith(outboundPrefix)};
+    });
+  },
+
+  // Works out the storage changes for the rules of a container that is being deleted, plan maps
+  //   their store keys to {action: "move", userContextId}, {action: "default"} or {action: "delete"}
+  //   and rules it leaves out are deleted. Only the rules opening pages in the container can be
+  //   converted to Default, its outbound transition rules would become rules of another source.
+  //   The state of the hidden tabs of the container goes too. A moved rule gives way to the one
+  //   the other container has for the same navigation, unless its step has replace set. Throws
+  //   without changing anything if the plan can't be carried out.
+  async planContainerRules(userContextId, plan) {
+    const identities = await browser.contextualIdentities.query({});
+    const containerIds = identities.map((identity) => {
+      return backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId);
+    }).filter((id) => id !== String(userContextId));
+    const outboundPrefix = `siteTransition@@_${userContextId}@@_`;
+    Object.keys(plan).forEach((key) => {
+      if (plan[key].action === "move" && !containerIds.includes(String(plan[key].userContextId))) {
+        throw new Error("The rules can only be moved to another existing container");
+      }
+      if (plan[key].action === "default" && key.startsWith(outboundPrefix)) {
+        throw new Error("Only the rules opening pages in the container can be converted to Default");
+      }
+    });
+    const rules = await this._getContainerRules(userContextId);
+    const keys = rules.map((rule) => rule.key);
+    keys.push(`${backup.IDENTITY_STATE_PREFIX}${backgroundLogic.cookieStoreId(userContextId)}`);
+    const storage = await this.storageArea.area.get();
+    return backup.rewrite(storage, keys, (key) => {
+      const idMap = {};
+      containerIds.forEach((id) => {
+        idMap[id] = id;
+      });
+      const step = plan[key] || {action: "delete"};
+      if (step.action === "move") {
+        idMap[userContextId] = String(step.userContextId);
+      } else if (step.action === "default") {
+        idMap[userContextId] = false;
+      }
+      return idMap;
+    }, (key) => Boolean(plan[key] && plan[key].replace));
+  },
+
+  // The rules of a container that clash with those of the container it is merged into, as
+  //   {key, description, source, target, targetKey} with how each of the two handles the
+  //   navigation. An outbound transition rule clashes with the rule the other container has for
+  //   the same navigation, an assignment with its transition rule for the site that takes the
+  //   pages out of it.
+  async _getMergeConflicts(userContextId, targetUserContextId) {
+    const rules = await this._getContainerRules(userContextId);
+    const identities = await browser.contextualIdentities.query({});
+    const names = {};
+    const idMap = {};
+    identities.forEach((identity) => {
+      const id = backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId);
+      names[id] = identity.name;
+      idMap[id] = id;
+    });
+    const targetId = String(targetUserContextId);
+    idMap[userContextId] = targetId;
+    const conflicts = [];
+    rules.forEach(({key}) => {
+      const {entries} = backup.rewrite(this.storageArea.rules, [key], () => idMap, () => true);
+      const [mergedKey] = Object.keys(entries);
+      if (!mergedKey) {
+        return;
+      }
+      const value = entries[mergedKey];
+      const isAssignment = key.startsWith(backup.ASSIGNMENT_PREFIX);
+      const targetKey = isAssignment
+        ? backup.getTransitionStoreKey(targetId, this.storageArea.getHostnameFromStoreKey(key))
+        : mergedKey;
+      const existing = targetKey !== key && this.storageArea.getRule(targetKey);
+      if (!existing || JSON.stringify(existing) === JSON.stringify(value)) {
+        return;
+      }
+      const keepsPages = existing.action === this.ACTION_STAY || (
+        (existing.action || this.ACTION_OPEN) === this.ACTION_OPEN &&
+        this.storageArea.getCandidates(existing).includes(targetId)
+      );
+      if (isAssignment && keepsPages) {
+        return;
+      }
+      conflicts.push({
+        key,
+        description: backup.describe(targetKey, names),
+        source: this.describeSettings(value, names),
+        target: this.describeSettings(existing, names),
+        targetKey
+      });
+    });
+    return conflicts;
+  },
+
+  // What a rule does with the navigations it matches, in words
+  describeSettings(siteSettings, names) {
+    switch (siteSettings.action || this.ACTION_OPEN) {
+    case this.ACTION_STAY:
+      return "stays in its container";
+    case this.ACTION_BLOCK:
+      return "is blocked";
+    case this.ACTION_PRIVATE:
+      return "opens in a private window";
+    }
+    const targets = this.storageArea.getCandidates(siteSettings).map((userContextId) => {
+      if (userContextId === temporaryContainers.TARGET) {
+        return "a new temporary container";
+      }
+      return userContextId ? names[userContextId] || `container ${userContextId}` : "Default";
+    });
+    return `opens in ${targets.join(" or ")}${siteSettings.neverAsk ? "" : " after asking"}`;
+  },
+
+  // Gives the copy of a container the rules of the original: its outbound transition rules are
+  //   copied. The rules opening pages in the original only get the copy as another candidate
+  //   with copyInbound, as that makes the confirm page ask which one to use from then on.
+  async copyContainerRules(userContextId, copyUserContextId, copyInbound) {
+    await this.storageArea.loadRules();
+    const identities = await browser.contextualIdentities.query({});
+    const idMap = {};
+    identities.forEach((identity) => {
+      const id = backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId);
+      idMap[id] = id;
+    });
+    idMap[userContextId] = String(copyUserContextId);
+    const outboundPrefix = `siteTransition@@_${userContextId}@@_`;
+    const entries = {};
+    Object.keys(this.storageArea.rules).forEach((key) => {
+      const siteSettings = this.storageArea.getRule(key);
+      if (key.startsWith(outboundPrefix)) {
+        const rule = backup.translate(key, siteSettings, idMap);
+        if (rule) {
+          entries[rule.key] = rule.value;
+        }
+        return;
+      }
+      if (!copyInbound) {
+        return;
+      }
+      const isTransition = key.startsWith("siteTransition@@_");
+      if ((isTransition && (siteSettings.action || this.ACTION_OPEN) === this.ACTION_OPEN)
+          || key.startsWith("siteContainerMap@@_")) {
+        if (this.storageArea.getCandidates(siteSettings).map(String).includes(String(userContextId))) {
+          entries[key] = this.storageArea.withCandidate(siteSettings, String(copyUserContextId), false);
+        }
+      }
+    });
+    return this.storageArea.setRules(entries);
+  },
+
+  async applyContainerRules(changes) {
+    await this.storageArea.removeRules(changes.remove);
+    await this.storageArea.setRules(changes.entries);
   },
 
   getUserContextIdFromCookieStore(tab) {
@@ -434,7 +1644,11 @@ const assignManager = {
     return true;
   },
 
-  async _setOrRemoveAssignment(tabId, pageUrl, userContextId, remove) {
+  // scope is one of:
+  //   "host": only the host of pageUrl
+  //   "subdomains": the host of pageUrl and all its subdomains
+  //   "wildcard": every subdomain of the parent domain of pageUrl, as in "*.example.com"
+  async _setOrRemoveAssignment(tabId, pageUrl, userContextId, remove, scope = "host") {
     let actionName;
 
     // https://github.com/mozilla/testpilot-containers/issues/626
@@ -443,27 +1657,45 @@ const assignManager = {
     userContextId = String(userContextId);
 
     if (!remove) {
+      let hostname = this.storageArea.getHostnameFromStoreKey(this.storageArea.getSiteStoreKey(pageUrl));
+      if (scope === "wildcard") {
+        hostname = this.storageArea.getWildcardHostname(pageUrl);
+      }
+      const includeSubdomains = scope === "subdomains";
       const tabs = await browser.tabs.query({});
-      const assignmentStoreKey = this.storageArea.getSiteStoreKey(pageUrl);
-      const exemptedTabIds = tabs.filter((tab) => {
-        const tabStoreKey = this.storageArea.getSiteStoreKey(tab.url);
+      tabs.filter((tab) => {
         /* Auto exempt all tabs that exist for this hostname that are not in the same container */
-        if (tabStoreKey === assignmentStoreKey &&
+        if (this.storageArea.hostnameMatches(hostname, includeSubdomains, tab.url) &&
             this.getUserContextIdFromCookieStore(tab) !== userContextId) {
           return true;
         }
         return false;
-      }).map((tab) => {
-        return tab.id;
+      }).forEach((tab) => {
+        this.storageArea.setExempted(tab.url, tab.id, this.EXEMPT_REASON_ASSIGNED);
       });
 
-      await this.storageArea.set(pageUrl, {
-        userContextId,
-        neverAsk: false
-      }, exemptedTabIds);
+      // Assigning a site from another container adds that container as a candidate
+      const existing = await this.storageArea.getByHostname(hostname);
+      const target = await this.getRuleTarget(userContextId);
+      const siteSettings = existing
+        ? this.storageArea.withCandidate(existing, target, false)
+        : {userContextId: target, neverAsk: false};
+      delete siteSettings.includeSubdomains;
+      if (includeSubdomains) {
+        siteSettings.includeSubdomains = true;
+      }
+      await this.storageArea.setByHostname(hostname, siteSettings);
       actionName = "added";
     } else {
-      await this.storageArea.remove(pageUrl);
+      // Remove whichever rule currently applies, which may be a wildcard or a parent domain.
+      //   A site assigned to several containers only loses this one.
+      const siteSettings = await this.storageArea.get(pageUrl);
+      const target = await this.getRuleTarget(userContextId);
+      if (siteSettings && siteSettings.candidates && siteSettings.candidates.includes(target)) {
+        await this.storageArea.setByHostname(siteSettings.hostname, this.storageArea.withCandidate(siteSettings, target, true));
+      } else if (siteSettings) {
+        await this.storageArea.removeByHostname(siteSettings.hostname, pageUrl);
+      }
       actionName = "removed";
     }
     browser.tabs.sendMessage(tabId, {
@@ -473,6 +1705,42 @@ const assignManager = {
     this.calculateContextMenu(tab);
   },
 
+  async _setOrRemoveUrlRule(tabId, rule, remove) {
+    let actionName;
+    if (!remove) {
+      await this.storageArea.setUrlRule({
+        type: rule.type,
+        pattern: rule.pattern,
+        priority: Number(rule.priority) || 0,
+        // Stored as a string, same as hostname assignments
+        userContextId: await this.getRuleTarget(String(rule.userContextId)),
+        neverAsk: false
+      });
+      actionName = "added";
+    } else {
+      await this.storageArea.removeUrlRule(rule.type, rule.pattern);
+      actionName = "removed";
+    }
+    browser.tabs.sendMessage(tabId, {
+      text: `Successfully ${actionName} rule for ${rule.pattern}`
+    });
+  },
+
+  async _getUrlRules(userContextId) {
+    const rules = await this.storageArea.getUrlRules();
+    const target = await this.getRuleTarget(String(userContextId));
+    return rules.filter((rule) => String(rule.userContextId) === target);
+  },
+
+  // Rules made from inside a temporary container target a new temporary container,
+  //   as the container itself goes away with its last tab
+  async getRuleTarget(userContextId) {
+    if (await temporaryContainers.isTemporary(backgroundLogic.cookieStoreId(userContextId))) {
+      return temporaryContainers.TARGET;
+    }
+    return userContextId;
+  },
+
   async _getAssignment(tab) {
     const cookieStore = this.getUserContextIdFromCookieStore(tab);
     // Ensure we have a cookieStore to assign to
@@ -483,24 +1751,36 @@ const assignManager = {
     return false;
   },
 
-  async _setOrRemoveTransitionSettings(sourceContainerId, pageUrl, userContextId, remove) {
+  // With neverAsk false the rule shows the confirm page instead of silently reopening the link.
+  //   Rules with an action other than ACTION_OPEN ignore userContextId and keep the source container.
+  async _setOrRemoveTransitionSettings(sourceContainerId, pageUrl, userContextId, remove, originUrl, neverAsk = true, action = this.ACTION_OPEN) {
     if (!remove) {
-      await this.storageArea.setTransitionSettings(sourceContainerId, pageUrl, {
+      const siteSettings = {
         userContextId,
-        neverAsk: true
-      });
+        neverAsk
+      };
+      if (action !== this.ACTION_OPEN) {
+        siteSettings.userContextId = sourceContainerId;
+        siteSettings.neverAsk = true;
+        siteSettings.action = action;
+      }
+      await this.storageArea.setTransitionSettings(sourceContainerId, pageUrl, siteSettings, originUrl);
     } else {
-      await this.storageArea.removeTransitionSettings(sourceContainerId, pageUrl);
+      await this.storageArea.removeTransitionSettings(sourceContainerId, pageUrl, originUrl);
     } 
   },
 
-  async _getTransitionSettings(sourceContainerId, pageUrl) {
+  async _getTransitionSettings(sourceContainerId, pageUrl, originUrl) {
     //if (this.isTabPermittedAssign(tab)) {
-      return await this.storageArea.getTransitionSettings(sourceContainerId,pageUrl);
+      return await this.storageArea.getTransitionSettings(sourceContainerId,pageUrl,originUrl);
     //} 
     //return false;
   },
 
+  _getOriginTransitionSettings(sourceContainerId, pageUrl) {
+    return this.storageArea.getOriginTransitionSettings(sourceContainerId, pageUrl);
+  },
+
   _getByContainer(userContextId) {
     return this.storageArea.getByContainer(userContextId);
   },
@@ -568,15 +1848,31 @@ const assignManager = {
     });
   },
 
-  reloadPageInContainer(url, currentUserContextId, userContextId, index, active, neverAsk = false, openerTabId = null) {
-    const cookieStoreId = backgroundLogic.cookieStoreId(userContextId);
+  // candidates lists the containers the confirm page offers first, for sites assigned to several.
+  //   rule is the one that sent the page there, recorded as the provenance of the new tab.
+  reloadPageInContainer(url, currentUserContextId, userContextId, index, active, neverAsk = false, openerTabId = null, candidates = null, rule = null) {
+    // The confirm page asks the background to create the temporary container once the user agrees
+    const toCookieStoreId = (id) => id === temporaryContainers.TARGET ? id : backgroundLogic.cookieStoreId(id);
+    const toTemporary = userContextId === temporaryContainers.TARGET;
+    const cookieStoreId = toCookieStoreId(userContextId);
     const loadPage = browser.extension.getURL("confirm-page.html");
+    const provenance = {openerTabId, sourceContainerId: currentUserContextId, url, rule};
     // False represents assignment is not permitted
     // If the user has explicitly checked "Never Ask Again" on the warning page we will send them straight there
-    if (neverAsk) {
+    if (neverAsk && toTemporary) {
+      temporaryContainers.openTab(url, {index, active, openerTabId}).then((t) => {
+        this.storageArea.setExempted(url, t.id, this.EXEMPT_REASON_OPENED);
+        this.setProvenance(t.id, provenance);
+        return this.notifyReroute(t, rule);
+      }).catch((e) => {
+        throw e;
+      });
+    } else if (neverAsk) {
       browser.tabs.create({url, cookieStoreId, index, active, openerTabId}).then( (t) => {
-            this.storageArea.setExempted(url,t.id);
-       } ); 
+        this.storageArea.setExempted(url, t.id, this.EXEMPT_REASON_OPENED);
+        this.setProvenance(t.id, provenance);
+        return this.notifyReroute(t, rule);
+      } ); 
     } else {
       let confirmUrl = `${loadPage}?url=${this.encodeURLProperty(url)}&cookieStoreId=${cookieStoreId}`;
       let currentCookieStoreId;
@@ -584,6 +1880,13 @@ const assignManager = {
         currentCookieStoreId = backgroundLogic.cookieStoreId(currentUserContextId);
         confirmUrl += `&currentCookieStoreId=${currentCookieStoreId}`;
       }
+      if (candidates) {
+        confirmUrl += `&candidates=${candidates.map(toCookieStoreId).join(",")}`;
+      }
+      // "Remember my decision" applies to this rule
+      if (rule && rule.storeKey) {
+        confirmUrl += `&ruleKey=${encodeURIComponent(rule.storeKey)}`;
+      }
       browser.tabs.create({
         url: confirmUrl,
         cookieStoreId: currentCookieStoreId,
@@ -7,6 +7,8 @@ const backgroundLogic = {
     "about:blank"
   ]),
   unhideQueue: [],
+  // Containers tabs are being merged into, their hidden tabs stay hidden meanwhile
+  mergeTargets: new Set(),
 
   async getExtensionInfo() {
     const manifestPath = browser.extension.getURL("manifest.json");
@@ -26,13 +28,119 @@ const backgroundLogic = {
     return false;
   },
 
-  async deleteContainer(userContextId, removed = false) {
+  // With a plan the rules of the container are moved, converted or deleted as it says, see
+  //   assignManager.planContainerRules, which is worked out before anything is closed or removed.
+  //   The rules are rewritten before the container goes, so contextualIdentities.onRemoved finds
+  //   none of them left to delete. Without a plan the container is only taken out of its assignments.
+  async deleteContainer(userContextId, removed = false, plan = null) {
+    const changes = plan && await assignManager.planContainerRules(userContextId, plan);
+    if (changes) {
+      await assignManager.applyContainerRules(changes);
+    }
     await this._closeTabs(userContextId);
     if (!removed) {
       await browser.contextualIdentities.remove(this.cookieStoreId(userContextId));
     }
-    assignManager.deleteContainer(userContextId);
-    return {done: true, userContextId};
+    if (!changes) {
+      await assignManager.deleteContainer(userContextId);
+    }
+    return {done: true, userContextId, conflicts: changes ? changes.conflicts : []};
+  },
+
+  // Creates a container that looks like the one of options.userContextId, named options.name,
+  //   and gives it the same rules, see assignManager.copyContainerRules
+  async duplicateContainer(options) {
+    const identity = await browser.contextualIdentities.get(this.cookieStoreId(options.userContextId));
+    const copy = await browser.contextualIdentities.create({
+      name: options.name || `${identity.name} Copy`,
+      color: identity.color,
+      icon: identity.icon
+    });
+    await assignManager.copyContainerRules(
+      options.userContextId,
+      this.getUserContextIdFromCookieStoreId(copy.cookieStoreId),
+      options.copyInbound
+    );
+    browser.runtime.sendMessage({
+      method: "refreshNeeded"
+    });
+    return copy;
+  },
+
+  // Moves the open and hidden tabs and the rules of the container of options.userContextId into
+  //   the one of options.targetUserContextId, then deletes it. Where both containers have a
+  //   transition rule for the same navigation the target's stays, unless options.keepSource
+  //   lists the key of the other one, see assignManager._getMergeConflicts
+  async mergeContainer(options) {
+    const {userContextId, targetUserContextId} = options;
+    const keepSource = options.keepSource || [];
+    const plan = {
+      [`${backup.IDENTITY_STATE_PREFIX}${this.cookieStoreId(userContextId)}`]: {
+        action: "move",
+        userContextId: targetUserContextId
+      }
+    };
+    (await assignManager._getContainerRules(userContextId)).forEach((rule) => {
+      plan[rule.key] = {
+        action: "move",
+        userContextId: targetUserContextId,
+        replace: keepSource.includes(rule.key)
+      };
+    });
+    // Throws before any tab moves if the target doesn't exist
+    const changes = await assignManager.planContainerRules(userContextId, plan);
+    const clashes = await assignManager._getMergeConflicts(userContextId, targetUserContextId);
+    await assignManager.applyContainerRules(changes);
+    // An assignment kept over the transition rule of the other container for its site
+    //   replaces that rule, outbound rules were replaced by the plan
+    const replaced = clashes.filter((conflict) => {
+      return keepSource.includes(conflict.key) && conflict.key.startsWith(backup.ASSIGNMENT_PREFIX);
+    }).map((conflict) => conflict.targetKey);
+    if (replaced.length) {
+      await assignManager.storageArea.removeRules(replaced);
+    }
+    await this._moveTabs(userContextId, targetUserContextId);
+    await this.deleteContainer(userContextId);
+    browser.runtime.sendMessage({
+      method: "refreshNeeded"
+    });
+    return {done: true, userContextId, targetUserContextId, conflicts: changes.conflicts};
+  },
+
+  // Reopens the tabs of a container in another one at the same place. The new tabs are
+  //   exempted so that the rules of the site don't send them elsewhere.
+  async _moveTabs(userContextId, targetUserContextId) {
+    const tabs = await browser.tabs.query({
+      cookieStoreId: this.cookieStoreId(userContextId)
+    });
+    const targetCookieStoreId = this.cookieStoreId(targetUserContextId);
+    // Each new tab lands in front of the old one at its index, which pushes the old tabs
+    //   further back in the window by the number of tabs created before them
+    const created = {};
+    tabs.sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+    this.mergeTargets.add(targetCookieStoreId);
+    try {
+      for (const tab of tabs) {
+        // Pages we can't open, such as the new tab page, become blank tabs
+        const url = tab.url && this.isPermissibleURL(tab.url) ? tab.url : undefined;
+        const shift = created[tab.windowId] || 0;
+        const newTab = await browser.tabs.create({
+          url,
+          cookieStoreId: targetCookieStoreId,
+          windowId: tab.windowId,
+          index: tab.index + shift,
+          active: tab.active,
+          pinned: tab.pinned
+        });
+        created[tab.windowId] = shift + 1;
+        if (url) {
+          assignManager.storageArea.setExempted(url, newTab.id, assignManager.EXEMPT_REASON_OPENED);
+        }
+      }
+      await browser.tabs.remove(tabs.map((tab) => tab.id));
+    } finally {
+      this.mergeTargets.delete(targetCookieStoreId);
+    }
   },
 
   async createOrUpdateContainer(options) {
@@ -114,6 +222,9 @@ const backgroundLogic = {
   },
 
   async unhideContainer(cookieStoreId) {
+    if (this.mergeTargets.has(cookieStoreId)) {
+      return;
+    }
     if (!this.unhideQueue.includes(cookieStoreId)) {
       this.unhideQueue.push(cookieStoreId);
       await this.showTabs({
@@ -229,7 +340,8 @@ const backgroundLogic = {
         hasHiddenTabs: !!containerState.hiddenTabs.length,
         hasOpenTabs: !!openTabs.length,
         numberOfHiddenTabs: containerState.hiddenTabs.length,
-        numberOfOpenTabs: openTabs.length
+        numberOfOpenTabs: openTabs.length,
+        isTemporary: await temporaryContainers.isTemporary(cookieStoreId)
       };
       return;
     });
@@ -0,0 +1,515 @@
+// Backups of the rules as a versioned JSON document. Containers are exported with their
+//   name, color and icon, and matched by name on import as userContextIds differ between profiles.
+const backup = {
+  FORMAT: "containers-with-transitions",
+  VERSION: 1,
+  ASSIGNMENT_PREFIX: "siteContainerMap@@_",
+  URL_RULE_PREFIX: "siteUrlRule@@_",
+  TRANSITION_PREFIX: "siteTransition@@_",
+  IDENTITY_STATE_PREFIX: "identitiesState@@_",
+
+  // Import in replace mode removes these, the state of hidden tabs is only ever merged
+  isRuleKey(key) {
+    return key.startsWith(this.ASSIGNMENT_PREFIX)
+      || key.startsWith(this.URL_RULE_PREFIX)
+      || key.startsWith(this.TRANSITION_PREFIX);
+  },
+
+  createDocument() {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      containers: [],
+      assignments: [],
+      urlRules: [],
+      transitions: [],
+      identitiesState: []
+    };
+  },
+
+  async exportRules() {
+    const identities = await browser.contextualIdentities.query({});
+    const temporary = await temporaryContainers.storageArea.get();
+    const doc = this.createDocument();
+    // Temporary containers go away with their last tab, there is no point in keeping them
+    doc.containers = identities.filter((identity) => !temporary.includes(identity.cookieStoreId)).map((identity) => {
+      return {
+        userContextId: backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId),
+        name: identity.name,
+        color: identity.color,
+        icon: identity.icon
+      };
+    });
+    const storage = await browser.storage.local.get();
+    Object.keys(storage).forEach((key) => {
+      this.addToDocument(doc, key, storage[key]);
+    });
+    const exportedIds = doc.containers.map((container) => container.userContextId);
+    doc.identitiesState = doc.identitiesState.filter((state) => exportedIds.includes(state.userContextId));
+    return doc;
+  },
+
+  addToDocument(doc, key, data) {
+    if (key.startsWith(this.ASSIGNMENT_PREFIX)) {
+      doc.assignments.push(Object.assign({
+        hostname: assignManager.storageArea.getHostnameFromStoreKey(key)
+      }, data));
+    } else if (key.startsWith(this.URL_RULE_PREFIX)) {
+      doc.urlRules.push(Object.assign({}, data));
+    } else if (key.startsWith(this.TRANSITION_PREFIX)) {
+      const [sourceContainerId, hostname, originHostname] = key.substr(this.TRANSITION_PREFIX.length).split("@@_");
+      const transition = Object.assign({
+        sourceContainerId,
+        // Default transitions apply to every site
+        hostname: hostname === "default" ? null : hostname
+      }, data);
+      if (originHostname) {
+        transition.originHostname = originHostname;
+      }
+      doc.transitions.push(transition);
+    } else if (key.startsWith(this.IDENTITY_STATE_PREFIX)) {
+      doc.identitiesState.push({
+        userContextId: backgroundLogic.getUserContextIdFromCookieStoreId(key.substr(this.IDENTITY_STATE_PREFIX.length)),
+        hiddenTabs: data.hiddenTabs || []
+      });
+    }
+  },
+
+  // Backups of upstream Multi-Account Containers and Temporary Containers are converted to
+  //   this format first. unconverted lists the settings that have no equivalent here.
+  convert(data) {
+    if (!data || typeof data !== "object" || data.format === this.FORMAT) {
+      return {doc: data, unconverted: []};
+    }
+    if (data.preferences && data.preferences.isolation) {
+      return this.convertTemporaryContainers(data);
+    }
+    if (Array.isArray(data.identities) || data.assignedSites
+      || Object.keys(data).some((key) => key.startsWith(this.ASSIGNMENT_PREFIX))) {
+      return this.convertMultiAccountContainers(data);
+    }
+    return {doc: data, unconverted: []};
+  },
+
+  // Reads the storage of Multi-Account Containers, either its local storage with the assignments
+  //   at the top level or its sync storage with "identities" and "assignedSites". Assignments
+  //   refer to their container by macAddonUUID, or by userContextId in older versions.
+  convertMultiAccountContainers(data) {
+    const doc = this.createDocument();
+    const unconverted = [];
+    const uuids = {};
+    (Array.isArray(data.identities) ? data.identities : []).forEach((identity) => {
+      const userContextId = identity.cookieStoreId
+        ? backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId)
+        : identity.macAddonUUID;
+      if (identity.macAddonUUID) {
+        uuids[identity.macAddonUUID] = userContextId;
+      }
+      doc.containers.push({
+        userContextId,
+        name: identity.name,
+        color: identity.color,
+        icon: identity.icon
+      });
+    });
+
+    const sites = Object.assign({}, data.assignedSites);
+    Object.keys(data).forEach((key) => {
+      if (key.startsWith(this.ASSIGNMENT_PREFIX)) {
+        sites[key] = data[key];
+      } else if (key.startsWith(this.IDENTITY_STATE_PREFIX) && data[key]) {
+        const userContextId = backgroundLogic.getUserContextIdFromCookieStoreId(key.substr(this.IDENTITY_STATE_PREFIX.length));
+        if (data[key].macAddonUUID && !(data[key].macAddonUUID in uuids)) {
+          uuids[data[key].macAddonUUID] = userContextId;
+        }
+        if (data[key].isIsolated) {
+          const container = doc.containers.find((container) => container.userContextId === userContextId);
+          unconverted.push(`Site isolation of ${container ? container.name : `container ${userContextId}`}`);
+        }
+      }
+    });
+
+    Object.keys(sites).forEach((key) => {
+      const site = sites[key];
+      const hostname = site.hostname || assignManager.storageArea.getHostnameFromStoreKey(key);
+      // Upstream never asks again about a site the user opened in another container,
+      //   here that is what exemptions are for
+      if (site.neverAsk) {
+        unconverted.push(`"Never ask" for ${hostname}`);
+      }
+      doc.assignments.push({
+        hostname,
+        userContextId: uuids[site.identityMacAddonUUID] || String(site.userContextId),
+        neverAsk: false
+      });
+    });
+    return {doc, unconverted};
+  },
+
+  // Reads the exported preferences of Temporary Containers. Sites it always opens in a temporary
+  //   container become assignments to the temporary target, its isolation settings are reported.
+  convertTemporaryContainers(data) {
+    const doc = this.createDocument();
+    const unconverted = [];
+    const isolation = data.preferences.isolation;
+    const isolates = (setting) => {
+      if (!setting) {
+        return false;
+      }
+      if ("action" in setting) {
+        return !["global", "never", "disabled"].includes(setting.action);
+      }
+      // Mouse clicks are set per button
+      return Object.keys(setting).some((button) => isolates(setting[button]));
+    };
+
+    let domains = isolation.domain || [];
+    if (!Array.isArray(domains)) {
+      // Older versions keyed the domains by their pattern
+      domains = Object.keys(domains).map((pattern) => Object.assign({pattern}, domains[pattern]));
+    }
+    domains.forEach((domain) => {
+      const pattern = domain.pattern;
+      if (domain.always && domain.always.action === "enabled") {
+        const hostname = this.convertPattern(pattern);
+        if (hostname) {
+          doc.assignments.push({
+            hostname,
+            userContextId: temporaryContainers.TARGET,
+            neverAsk: false
+          });
+        } else {
+          unconverted.push(`Always open ${pattern} in a temporary container, only hosts and "*." patterns are supported`);
+        }
+      }
+      if (isolates(domain.navigation) || isolates(domain.mouseClick)) {
+        unconverted.push(`Isolation of ${pattern}`);
+      }
+      if (domain.excluded && Object.keys(domain.excluded).length) {
+        unconverted.push(`Isolation exclusions of ${pattern}`);
+      }
+    });
+    if (isolation.global && (isolates(isolation.global.navigation) || isolates(isolation.global.mouseClick))) {
+      unconverted.push("Global isolation");
+    }
+    return {doc, unconverted};
+  },
+
+  // Hostname for a Temporary Containers pattern, null for regular expressions,
+  //   paths and wildcards other than a leading "*."
+  convertPattern(pattern) {
+    const hostname = String(pattern).toLowerCase();
+    if (/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/.test(hostname)) {
+      return hostname;
+    }
+    return null;
+  },
+
+  validate(doc) {
+    if (!doc || doc.format !== this.FORMAT) {
+      throw new Error("This file is not a backup of Containers with Transitions, Multi-Account Containers or Temporary Containers");
+    }
+    if (!(doc.version <= this.VERSION)) {
+      throw new Error(`This backup has version ${doc.version}, only versions up to ${this.VERSION} can be imported`);
+    }
+    ["containers", "assignments", "urlRules", "transitions", "identitiesState"].forEach((list) => {
+      if (!Array.isArray(doc[list])) {
+        doc[list] = [];
+      }
+    });
+  },
+
+  // Maps the userContextIds of the document to those of this profile by container name.
+  //   Containers missing here map to "new:<name>" until they are created.
+  async mapContainers(doc) {
+    const identities = await browser.contextualIdentities.query({});
+    const idMap = {};
+    const names = {};
+    const missing = [];
+    doc.containers.forEach((container) => {
+      const identity = identities.find((identity) => identity.name === container.name);
+      let userContextId;
+      if (identity) {
+        userContextId = backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId);
+      } else {
+        userContextId = `new:${container.name}`;
+        missing.push(container);
+      }
+      idMap[String(container.userContextId)] = userContextId;
+      names[userContextId] = container.name;
+    });
+    return {idMap, names, missing};
+  },
+
+  // The default container and the temporary target are the same in every profile
+  mapId(idMap, userContextId) {
+    if (!userContextId || userContextId === "0" || userContextId === temporaryContainers.TARGET) {
+      return userContextId;
+    }
+    return idMap[String(userContextId)];
+  },
+
+  // Storage entries for the rules of a document with its userContextIds mapped through idMap.
+  //   Rules pointing to containers that aren't in the document are left out and reported.
+  toStorage(doc, idMap) {
+    const entries = {};
+    const skipped = [];
+    const mapId = (userContextId) => backup.mapId(idMap, userContextId);
+
+    doc.assignments.forEach((assignment) => {
+      const data = Object.assign({}, assignment);
+      delete data.hostname;
+      if (data.candidates) {
+        data.candidates = data.candidates.map(mapId).filter((id) => typeof id !== "undefined");
+        data.userContextId = data.candidates[0];
+        if (data.candidates.length < 2) {
+          delete data.candidates;
+        }
+      } else {
+        data.userContextId = mapId(data.userContextId);
+      }
+      if (typeof data.userContextId === "undefined") {
+        skipped.push(`Assignment of ${assignment.hostname}`);
+        return;
+      }
+      if (data.lastChoices) {
+        const lastChoices = {};
+        Object.keys(data.lastChoices).forEach((sourceId) => {
+          const source = mapId(sourceId);
+          const choice = mapId(data.lastChoices[sourceId]);
+          if (typeof source !== "undefined" && typeof choice !== "undefined") {
+            lastChoices[assignManager.storageArea.getTransitionSourceId(source)] = choice;
+          }
+        });
+        data.lastChoices = lastChoices;
+      }
+      entries[assignManager.storageArea.getHostnameStoreKey(assignment.hostname)] = data;
+    });
+
+    doc.urlRules.forEach((rule) => {
+      const userContextId = mapId(rule.userContextId);
+      if (typeof userContextId === "undefined") {
+        skipped.push(`${rule.type} rule ${rule.pattern}`);
+        return;
+      }
+      entries[assignManager.storageArea.getUrlRuleStoreKey(rule.type, rule.pattern)] = Object.assign({}, rule, {userContextId});
+    });
+
+    doc.transitions.forEach((transition) => {
+      const source = mapId(transition.sourceContainerId);
+      const userContextId = mapId(transition.userContextId);
+      if (typeof source === "undefined" || typeof userContextId === "undefined") {
+        skipped.push(`Transition rule for ${transition.hostname || "all sites"}`);
+        return;
+      }
+      const data = Object.assign({}, transition, {userContextId});
+      delete data.sourceContainerId;
+      delete data.hostname;
+      delete data.originHostname;
+      entries[this.getTransitionStoreKey(source, transition.hostname, transition.originHostname)] = data;
+    });
+
+    doc.identitiesState.forEach((state) => {
+      const userContextId = mapId(state.userContextId);
+      if (userContextId) {
+        entries[`${this.IDENTITY_STATE_PREFIX}${backgroundLogic.cookieStoreId(userContextId)}`] = {
+          hiddenTabs: state.hiddenTabs
+        };
+      }
+    });
+
+    return {entries, skipped};
+  },
+
+  // Rewrites a storage entry with its container ids mapped through idMap as {key, value},
+  //   null if a container it refers to isn't in idMap
+  translate(key, value, idMap) {
+    const doc = this.createDocument();
+    this.addToDocument(doc, key, value);
+    const {entries} = this.toStorage(doc, idMap);
+    const keys = Object.keys(entries);
+    if (!keys.length) {
+      return null;
+    }
+    return {key: keys[0], value: entries[keys[0]]};
+  },
+
+  // Rewrites the entries of storage under keys with their container ids mapped through
+  //   getIdMap(key), for the caller to write as {entries, remove, conflicts}. Entries left
+  //   without a container are removed, rules with other candidates only lose the unmapped ones.
+  //   An entry whose new key is taken gives way to the one there and is listed in conflicts,
+  //   unless replaces(key) says it takes its place, and hidden tabs are combined.
+  rewrite(storage, keys, getIdMap, replaces = () => false) {
+    const entries = {};
+    const remove = [];
+    const conflicts = [];
+    keys.forEach((key) => {
+      if (!storage[key]) {
+        return;
+      }
+      const rule = this.translate(key, storage[key], getIdMap(key));
+      if (!rule || rule.key !== key) {
+        remove.push(key);
+      }
+      if (!rule) {
+        return;
+      }
+      const value = rule.value;
+      if (value.candidates) {
+        value.candidates = Array.from(new Set(value.candidates));
+        value.userContextId = value.candidates[0];
+        if (value.candidates.length < 2) {
+          delete value.candidates;
+        }
+      }
+      const existing = rule.key !== key && (entries[rule.key] || storage[rule.key]);
+      if (existing && rule.key.startsWith(this.IDENTITY_STATE_PREFIX)) {
+        value.hiddenTabs = (existing.hiddenTabs || []).concat(value.hiddenTabs);
+      } else if (existing && !replaces(key)) {
+        conflicts.push(this.describe(key, {}));
+        return;
+      }
+      entries[rule.key] = value;
+    });
+    return {entries, remove, conflicts};
+  },
+
+  getTransitionStoreKey(sourceContainerId, hostname, originHostname) {
+    const sourceId = assignManager.storageArea.getTransitionSourceId(sourceContainerId);
+    if (!hostname) {
+      return `${this.TRANSITION_PREFIX}${sourceId}@@_default`;
+    }
+    if (originHostname) {
+      return `${this.TRANSITION_PREFIX}${sourceId}@@_${hostname}@@_${originHostname}`;
+    }
+    return `${this.TRANSITION_PREFIX}${sourceId}@@_${hostname}`;
+  },
+
+  // A line of the import preview for a storage entry
+  describe(key, names) {
+    const nameOf = (userContextId) => {
+      if (!userContextId || userContextId === "0") {
+        return "Default";
+      }
+      return names[userContextId] || `container ${userContextId}`;
+    };
+    if (key.startsWith(this.ASSIGNMENT_PREFIX)) {
+      return `Assignment of ${assignManager.storageArea.getHostnameFromStoreKey(key)}`;
+    }
+    if (key.startsWith(this.URL_RULE_PREFIX)) {
+      const [type, pattern] = key.substr(this.URL_RULE_PREFIX.length).split("@@_");
+      return `${type} rule ${pattern}`;
+    }
+    if (key.startsWith(this.TRANSITION_PREFIX)) {
+      const [sourceId, hostname, originHostname] = key.substr(this.TRANSITION_PREFIX.length).split("@@_");
+      const site = hostname === "default" ? "all sites" : hostname;
+      const origin = originHostname ? ` on links from ${originHostname}` : "";
+      return `Transition rule for ${site} from ${nameOf(sourceId)}${origin}`;
+    }
+    const cookieStoreId = key.substr(this.IDENTITY_STATE_PREFIX.length);
+    return `Hidden tabs of ${nameOf(backgroundLogic.getUserContextIdFromCookieStoreId(cookieStoreId))}`;
+  },
+
+  async getCurrentEntries() {
+    const storage = await browser.storage.local.get();
+    const entries = {};
+    Object.keys(storage).forEach((key) => {
+      if (this.isRuleKey(key) || key.startsWith(this.IDENTITY_STATE_PREFIX)) {
+        entries[key] = storage[key];
+      }
+    });
+    return entries;
+  },
+
+  // The hidden tabs of the document are added to those of the container, a tab hidden in both
+  //   is kept once
+  mergeHiddenTabs(entries, current) {
+    Object.keys(entries).forEach((key) => {
+      if (!key.startsWith(this.IDENTITY_STATE_PREFIX) || !current[key]) {
+        return;
+      }
+      const hiddenTabs = (current[key].hiddenTabs || []).slice();
+      const known = new Set(hiddenTabs.map((tab) => JSON.stringify(tab)));
+      (entries[key].hiddenTabs || []).forEach((tab) => {
+        if (!known.has(JSON.stringify(tab))) {
+          hiddenTabs.push(tab);
+        }
+      });
+      entries[key] = Object.assign({}, entries[key], {hiddenTabs});
+    });
+    return entries;
+  },
+
+  // mode is "merge" to keep the rules the document doesn't have, or "replace" to drop them
+  async previewImport(data, mode) {
+    const {doc, unconverted} = this.convert(data);
+    this.validate(doc);
+    const {idMap, names, missing} = await this.mapContainers(doc);
+    const identities = await browser.contextualIdentities.query({});
+    identities.forEach((identity) => {
+      names[backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId)] = identity.name;
+    });
+    const {entries, skipped} = this.toStorage(doc, idMap);
+    const current = await this.getCurrentEntries();
+    this.mergeHiddenTabs(entries, current);
+    const diff = {
+      createContainers: missing.map((container) => container.name),
+      added: [],
+      changed: [],
+      removed: [],
+      unchanged: 0,
+      skipped,
+      unconverted
+    };
+    Object.keys(entries).forEach((key) => {
+      if (!(key in current)) {
+        diff.added.push(this.describe(key, names));
+      } else if (JSON.stringify(current[key]) !== JSON.stringify(entries[key])) {
+        diff.changed.push(this.describe(key, names));
+      } else {
+        diff.unchanged++;
+      }
+    });
+    if (mode === "replace") {
+      Object.keys(current).forEach((key) => {
+        if (this.isRuleKey(key) && !(key in entries)) {
+          diff.removed.push(this.describe(key, names));
+        }
+      });
+    }
+    return diff;
+  },
+
+  async importRules(data, mode) {
+    const {doc, unconverted} = this.convert(data);
+    this.validate(doc);
+    const {idMap, missing} = await this.mapContainers(doc);
+    for (const container of missing) {
+      const identity = await browser.contextualIdentities.create({
+        name: container.name,
+        color: container.color,
+        icon: container.icon
+      });
+      idMap[String(container.userContextId)] = backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId);
+    }
+    const {entries, skipped} = this.toStorage(doc, idMap);
+    const current = await this.getCurrentEntries();
+    this.mergeHiddenTabs(entries, current);
+    if (mode === "replace") {
+      await assignManager.storageArea.removeRules(Object.keys(current).filter((key) => {
+        return this.isRuleKey(key) && !(key in entries);
+      }));
+    }
+    await assignManager.storageArea.setRules(entries);
+    browser.runtime.sendMessage({
+      method: "refreshNeeded"
+    });
+    return {
+      createdContainers: missing.map((container) => container.name),
+      imported: Object.keys(entries).length,
+      skipped,
+      unconverted
+    };
+  }
+};
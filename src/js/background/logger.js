@@ -0,0 +1,73 @@
+// Logging with levels and per-module categories. Lines are kept in a ring buffer the
+//   diagnostics panel can dump. As they may hold the URLs the user visits, debug lines
+//   are only kept and anything but warnings and errors only reaches the console once
+//   debug logging is turned on.
+const logger = {
+  LEVELS: ["debug", "info", "warn", "error"],
+  BUFFER_SIZE: 1000,
+
+  buffer: [],
+  debugEnabled: false,
+
+  storageArea: {
+    area: browser.storage.local,
+    storeKey: "debugLogging",
+
+    async get() {
+      const storageResponse = await this.area.get([this.storeKey]);
+      return Boolean(storageResponse && storageResponse[this.storeKey]);
+    },
+
+    set(enabled) {
+      return this.area.set({
+        [this.storeKey]: enabled
+      });
+    }
+  },
+
+  log(level, category, message) {
+    if (level === "debug" && !this.debugEnabled) {
+      return;
+    }
+    this.buffer.push({time: Date.now(), level, category, message});
+    if (this.buffer.length > this.BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+    if (this.debugEnabled || this.LEVELS.indexOf(level) >= this.LEVELS.indexOf("warn")) {
+      // eslint-disable-next-line no-console
+      console[level === "debug" ? "log" : level](`[${category}] ${message}`);
+    }
+  },
+
+  // The logger of a module, as in logger.category("sync").warn("...")
+  category(name) {
+    const categoryLogger = {};
+    this.LEVELS.forEach((level) => {
+      categoryLogger[level] = (message) => this.log(level, name, message);
+    });
+    return categoryLogger;
+  },
+
+  // The last count lines as text
+  getLines(count) {
+    return this.buffer.slice(-count).map((line) => {
+      return `${new Date(line.time).toISOString()} ${line.level.toUpperCase()} [${line.category}] ${line.message}`;
+    });
+  },
+
+  async setDebugEnabled(enabled) {
+    this.debugEnabled = Boolean(enabled);
+    await this.storageArea.set(this.debugEnabled);
+    return this.debugEnabled;
+  },
+
+  init() {
+    this.storageArea.get().then((enabled) => {
+      this.debugEnabled = enabled;
+    }).catch((e) => {
+      throw e;
+    });
+  }
+};
+
+logger.init();
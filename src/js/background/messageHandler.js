@@ -11,13 +11,19 @@ const messageHandler = {
 
       switch (m.method) {
       case "deleteContainer":
-        response = backgroundLogic.deleteContainer(m.message.userContextId);
+        response = backgroundLogic.deleteContainer(m.message.userContextId, false, m.message.plan);
         break;
       case "createOrUpdateContainer":
         response = backgroundLogic.createOrUpdateContainer(m.message);
         break;
+      case "duplicateContainer":
+        response = backgroundLogic.duplicateContainer(m.message);
+        break;
+      case "mergeContainer":
+        response = backgroundLogic.mergeContainer(m.message);
+        break;
       case "neverAsk":
-        assignManager._neverAsk(m);
+        response = assignManager._neverAsk(m);
         break;
       case "getAssignment":
         response = browser.tabs.get(m.tabId).then((tab) => {
@@ -31,14 +37,24 @@ const messageHandler = {
         // m.tabId is used for where to place the in content message
         // m.url is the assignment to be removed/added
         response = browser.tabs.get(m.tabId).then((tab) => {
-          return assignManager._setOrRemoveAssignment(tab.id, m.url, m.userContextId, m.value);
+          return assignManager._setOrRemoveAssignment(tab.id, m.url, m.userContextId, m.value, m.scope);
         });
         break;
+      case "getUrlRules":
+        response = assignManager._getUrlRules(m.userContextId);
+        break;
+      case "setOrRemoveUrlRule":
+        // m.tabId is used for where to place the in content message
+        response = assignManager._setOrRemoveUrlRule(m.tabId, m.rule, m.value);
+        break;
       case "getTransitionSettings":
-        response = assignManager._getTransitionSettings(m.sourceContainerId,m.url);
+        response = assignManager._getTransitionSettings(m.sourceContainerId,m.url,m.originUrl);
+        break;
+      case "getOriginTransitionSettings":
+        response = assignManager._getOriginTransitionSettings(m.sourceContainerId, m.url);
         break;
       case "setOrRemoveTransitionSettings":
-        response = assignManager._setOrRemoveTransitionSettings(m.sourceContainerId, m.url, m.userContextId, m.value);
+        response = assignManager._setOrRemoveTransitionSettings(m.sourceContainerId, m.url, m.userContextId, m.value, m.originUrl, m.neverAsk !== false, m.action);
         break;
       case "sortTabs":
         backgroundLogic.sortTabs();
@@ -73,9 +89,86 @@ const messageHandler = {
       case "exemptContainerAssignment":
         response = assignManager._exemptTab(m);
         break;
+      case "getExemptions":
+        response = assignManager._getExemptions();
+        break;
+      case "getExemption":
+        response = browser.tabs.get(m.tabId).then((tab) => {
+          return assignManager._getExemption(tab);
+        });
+        break;
+      case "removeExemption":
+        response = assignManager._removeExemption(m.hostname, m.tabId);
+        break;
       case "middleClick":
         assignManager.openInNewTab(s.tab.id,m.target);
         break;
+      case "rememberCandidateChoice":
+        response = assignManager._rememberCandidateChoice(m);
+        break;
+      case "exportRules":
+        response = backup.exportRules();
+        break;
+      case "previewImport":
+        response = backup.previewImport(m.document, m.mode);
+        break;
+      case "importRules":
+        response = backup.importRules(m.document, m.mode);
+        break;
+      case "getSyncStatus":
+        response = sync.getStatus();
+        break;
+      case "setSyncEnabled":
+        response = sync.setEnabled(m.enabled);
+        break;
+      case "syncNow":
+        response = sync.run().then(() => sync.getStatus());
+        break;
+      case "getRoutingLog":
+        response = routingLog.getEntries();
+        break;
+      case "clearRoutingLog":
+        response = routingLog.clear();
+        break;
+      case "getLogLines":
+        response = logger.getLines(m.count);
+        break;
+      case "getDebugLogging":
+        response = logger.debugEnabled;
+        break;
+      case "setDebugLogging":
+        response = logger.setDebugEnabled(m.enabled);
+        break;
+      case "getOrphans":
+        response = orphans.sweep();
+        break;
+      case "resolveOrphans":
+        response = orphans.resolve(m.keys, m.userContextId);
+        break;
+      case "getContainerRules":
+        response = assignManager._getContainerRules(m.userContextId);
+        break;
+      case "getMergeConflicts":
+        response = assignManager._getMergeConflicts(m.userContextId, m.targetUserContextId);
+        break;
+      case "getProvenance":
+        response = assignManager._getProvenance(m);
+        break;
+      case "undoProvenance":
+        response = assignManager._undoProvenance(m);
+        break;
+      case "editRule":
+        response = assignManager._editRule(m);
+        break;
+      case "takePendingPanel":
+        response = assignManager._takePendingPanel(m);
+        break;
+      case "simulateNavigation":
+        response = assignManager.simulateNavigation(m);
+        break;
+      case "openInContainer":
+        response = assignManager._openInContainer(m);
+        break;
       }
       return response;
     });
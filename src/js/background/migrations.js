@@ -0,0 +1,129 @@
+// Versions the layout of the data in storage.local. Every migration brings the data from the
+//   version before it to its own, and the ones the stored version hasn't seen yet run in order
+//   when the add-on is installed or updated.
+const migrations = {
+  VERSION_KEY: "schemaVersion",
+
+  log: logger.category("migrations"),
+
+  // Ordered by version, migrate gets the whole storage and returns the entries to rewrite
+  steps: [
+    {
+      version: 1,
+      migrate: (storage) => migrations.normalizeRecords(storage)
+    }
+  ],
+
+  storageArea: {
+    area: browser.storage.local,
+
+    async getVersion() {
+      const storageResponse = await this.area.get([migrations.VERSION_KEY]);
+      return storageResponse && storageResponse[migrations.VERSION_KEY] || 0;
+    },
+
+    setVersion(version) {
+      return this.area.set({
+        [migrations.VERSION_KEY]: version
+      });
+    }
+  },
+
+  // userContextIds got stored as numbers as well as strings over time, they are strings
+  //   with false for the default container
+  normalizeId(userContextId) {
+    if (!userContextId || userContextId === "0" || userContextId === "false") {
+      return false;
+    }
+    return String(userContextId);
+  },
+
+  normalizeRule(value) {
+    const rule = Object.assign({}, value);
+    if ("userContextId" in rule) {
+      rule.userContextId = this.normalizeId(rule.userContextId);
+    }
+    if (rule.candidates) {
+      rule.candidates = rule.candidates.map((userContextId) => this.normalizeId(userContextId));
+    }
+    if (rule.lastChoices) {
+      const lastChoices = {};
+      Object.keys(rule.lastChoices).forEach((sourceId) => {
+        lastChoices[sourceId] = this.normalizeId(rule.lastChoices[sourceId]);
+      });
+      rule.lastChoices = lastChoices;
+    }
+    return rule;
+  },
+
+  // The store key is what tells the hostname of an assignment, copies of it that got
+  //   written into the assignment itself are dropped
+  normalizeAssignment(value) {
+    const assignment = this.normalizeRule(value);
+    delete assignment.hostname;
+    return assignment;
+  },
+
+  normalizeIdentityState(value) {
+    const state = Object.assign({}, value);
+    if (!Array.isArray(state.hiddenTabs)) {
+      state.hiddenTabs = [];
+    }
+    return state;
+  },
+
+  // A record as it is stored since version 1, other entries are returned as they are.
+  //   New rules go through this too as callers hand in ids of either type.
+  normalizeEntry(key, value) {
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+    if (key.startsWith(backup.ASSIGNMENT_PREFIX)) {
+      return this.normalizeAssignment(value);
+    }
+    if (key.startsWith(backup.URL_RULE_PREFIX) || key.startsWith(backup.TRANSITION_PREFIX)) {
+      return this.normalizeRule(value);
+    }
+    if (key.startsWith(backup.IDENTITY_STATE_PREFIX)) {
+      return this.normalizeIdentityState(value);
+    }
+    return value;
+  },
+
+  // Version 1: consistent types in the assignments, URL rules, transition rules and container states
+  normalizeRecords(storage) {
+    const entries = {};
+    Object.keys(storage).forEach((key) => {
+      const value = storage[key];
+      const normalized = this.normalizeEntry(key, value);
+      if (JSON.stringify(normalized) !== JSON.stringify(value)) {
+        entries[key] = normalized;
+      }
+    });
+    return entries;
+  },
+
+  // The version is stored after every step, so an interrupted run picks up where it stopped
+  async run() {
+    const version = await this.storageArea.getVersion();
+    for (const step of this.steps) {
+      if (step.version <= version) {
+        continue;
+      }
+      const entries = step.migrate(await browser.storage.local.get());
+      if (Object.keys(entries).length) {
+        await browser.storage.local.set(entries);
+      }
+      await this.storageArea.setVersion(step.version);
+      this.log.info(`Migrated storage to version ${step.version}, rewrote ${Object.keys(entries).length} records`);
+    }
+  },
+
+  init() {
+    browser.runtime.onInstalled.addListener(() => {
+      return this.run();
+    });
+  }
+};
+
+migrations.init();
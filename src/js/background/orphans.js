@@ -0,0 +1,101 @@
+// Rules and container states left behind by containers that no longer exist, such as transition
+//   rules from or to them and their hidden tabs. A sweep at startup and on request lists them,
+//   and the user decides whether to delete them or hand them to another container.
+const orphans = {
+  log: logger.category("orphans"),
+
+  // What the last sweep found, as {key, description, missing} with the userContextIds of the
+  //   missing containers
+  found: [],
+
+  isSweptKey(key) {
+    return backup.isRuleKey(key) || key.startsWith(backup.IDENTITY_STATE_PREFIX);
+  },
+
+  // The userContextIds of the containers a stored rule or state refers to, leaving out
+  //   the default container and the temporary target which always exist
+  getReferencedIds(key, value) {
+    const ids = [];
+    if (key.startsWith(backup.IDENTITY_STATE_PREFIX)) {
+      ids.push(backgroundLogic.getUserContextIdFromCookieStoreId(key.substr(backup.IDENTITY_STATE_PREFIX.length)));
+    } else {
+      if (key.startsWith(backup.TRANSITION_PREFIX)) {
+        ids.push(key.substr(backup.TRANSITION_PREFIX.length).split("@@_")[0]);
+      }
+      ids.push(value.userContextId, ...(value.candidates || []));
+    }
+    return Array.from(new Set(ids.filter((id) => {
+      return id && id !== "0" && id !== temporaryContainers.TARGET;
+    }).map(String)));
+  },
+
+  async getContainerIds() {
+    const identities = await browser.contextualIdentities.query({});
+    return identities.map((identity) => backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId));
+  },
+
+  async sweep() {
+    const containerIds = await this.getContainerIds();
+    const storage = await browser.storage.local.get();
+    this.found = [];
+    Object.keys(storage).forEach((key) => {
+      if (!this.isSweptKey(key) || !storage[key]) {
+        return;
+      }
+      const missing = this.getReferencedIds(key, storage[key]).filter((id) => !containerIds.includes(id));
+      if (missing.length) {
+        this.found.push({key, description: backup.describe(key, {}), missing});
+      }
+    });
+    if (this.found.length) {
+      this.log.info(`Found ${this.found.length} rules and states of containers that no longer exist`);
+    }
+    return this.found;
+  },
+
+  // Takes the missing containers out of the entries under keys. Without userContextId rules left
+  //   without a container and the states of missing containers are deleted, while rules with other
+  //   candidates only lose the missing ones. With it the missing containers are replaced by that
+  //   one. Where that one already has a rule of its own, the orphan is deleted instead and
+  //   reported in conflicts. Resolves to {orphans, conflicts} with what a new sweep finds.
+  async resolve(keys, userContextId) {
+    const containerIds = await this.getContainerIds();
+    if (userContextId && !containerIds.includes(String(userContextId))) {
+      throw new Error("The container to move the rules to no longer exists");
+    }
+    const storage = await browser.storage.local.get();
+    const sweptKeys = keys.filter((key) => this.isSweptKey(key));
+    const idMap = {};
+    containerIds.forEach((id) => {
+      idMap[id] = id;
+    });
+    if (userContextId) {
+      sweptKeys.forEach((key) => {
+        if (!storage[key]) {
+          return;
+        }
+        this.getReferencedIds(key, storage[key]).forEach((id) => {
+          if (!(id in idMap)) {
+            idMap[id] = String(userContextId);
+          }
+        });
+      });
+    }
+    const {entries, remove, conflicts} = backup.rewrite(storage, sweptKeys, () => idMap);
+    if (remove.length) {
+      await browser.storage.local.remove(remove);
+    }
+    if (Object.keys(entries).length) {
+      await browser.storage.local.set(entries);
+    }
+    return {orphans: await this.sweep(), conflicts};
+  },
+
+  init() {
+    this.sweep().catch((e) => {
+      this.log.error(`Sweep failed: ${e.message}`);
+    });
+  }
+};
+
+orphans.init();
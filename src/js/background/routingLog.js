@@ -0,0 +1,69 @@
+// A bounded record of the routing decisions of onBeforeRequest. It is kept in storage
+//   so that it survives restarts and can be exported for bug reports.
+const routingLog = {
+  MAX_ENTRIES: 500,
+  SAVE_DELAY: 1000,
+  OUTCOME_NONE: "none",
+  OUTCOME_CONFIRM: "confirm",
+  OUTCOME_REOPEN: "reopen",
+  OUTCOME_CANCELED: "canceled",
+  OUTCOME_BLOCKED: "blocked",
+  OUTCOME_PRIVATE: "private",
+
+  entries: [],
+  loaded: null,
+  timer: null,
+
+  storageArea: {
+    area: browser.storage.local,
+    storeKey: "routingLog",
+
+    async get() {
+      const storageResponse = await this.area.get([this.storeKey]);
+      if (storageResponse && this.storeKey in storageResponse) {
+        return storageResponse[this.storeKey];
+      }
+      return [];
+    },
+
+    set(entries) {
+      return this.area.set({
+        [this.storeKey]: entries
+      });
+    }
+  },
+
+  // entry is {tabId, sourceContainerId, url, rule, outcome} with the targetContainerId
+  //   of reopened pages. rule is {type, storeKey} as found by assignManager.findRule, or
+  //   of type "exemption" or "sameHost" when the rules were bypassed.
+  //   Navigations come in bursts, so writes are put off until they settle.
+  record(entry) {
+    this.entries.push(Object.assign({time: Date.now()}, entry));
+    if (this.entries.length > this.MAX_ENTRIES) {
+      this.entries.splice(0, this.entries.length - this.MAX_ENTRIES);
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.storageArea.set(this.entries), this.SAVE_DELAY);
+  },
+
+  async getEntries() {
+    await this.loaded;
+    return this.entries.slice();
+  },
+
+  async clear() {
+    await this.loaded;
+    clearTimeout(this.timer);
+    this.entries = [];
+    return this.storageArea.set(this.entries);
+  },
+
+  init() {
+    // Decisions made while the log loads come after the persisted ones
+    this.loaded = this.storageArea.get().then((entries) => {
+      this.entries = entries.concat(this.entries).slice(-this.MAX_ENTRIES);
+    });
+  }
+};
+
+routingLog.init();
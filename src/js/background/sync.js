@@ -0,0 +1,432 @@
+// Opt-in mirror of the containers, assignments and transition rules in storage.sync.
+//   Containers are known by a sync id there as userContextIds differ between devices.
+//   Every container and rule carries the time of its last change and the device that made it,
+//   so concurrent edits merge the same way everywhere: the latest change wins and ties go to
+//   the higher device id. Deletions are kept as tombstones for a while for the same reason.
+const sync = {
+  META_KEY: "syncMeta",
+  CHUNK_PREFIX: "syncChunk@@_",
+  // storage.sync allows 8192 bytes per item including its key, and 102400 in total
+  CHUNK_SIZE: 8000,
+  QUOTA: 102400,
+  TOMBSTONE_LIFETIME: 30 * 24 * 60 * 60 * 1000,
+  DELAY: 1000,
+  // How long the chunks of a write may take to reach the other devices
+  WRITE_TIMEOUT: 10 * 60 * 1000,
+  DAMAGED: "damaged",
+
+  queue: Promise.resolve(),
+  timer: null,
+  log: logger.category("sync"),
+
+  storageArea: {
+    area: browser.storage.local,
+    enabledKey: "syncEnabled",
+    deviceKey: "syncDeviceId",
+    // cookieStoreId to sync id of the containers of this device
+    idsKey: "syncIds",
+    // The synced state as of the last sync, to tell which items changed here since
+    baseKey: "syncBase",
+    statusKey: "syncStatus",
+
+    async getValue(key, defaultValue) {
+      const storageResponse = await this.area.get([key]);
+      if (storageResponse && key in storageResponse) {
+        return storageResponse[key];
+      }
+      return defaultValue;
+    },
+
+    setValue(key, value) {
+      return this.area.set({
+        [key]: value
+      });
+    },
+
+    isEnabled() {
+      return this.getValue(this.enabledKey, false);
+    },
+
+    async getDeviceId() {
+      let deviceId = await this.getValue(this.deviceKey);
+      if (!deviceId) {
+        deviceId = sync.createId();
+        await this.setValue(this.deviceKey, deviceId);
+      }
+      return deviceId;
+    }
+  },
+
+  createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 10)}`;
+  },
+
+  emptyState() {
+    return {
+      containers: {},
+      rules: {}
+    };
+  },
+
+  byteLength(text) {
+    return new Blob([text]).size;
+  },
+
+  // Splits text into pieces whose JSON fits in a storage.sync item
+  split(text) {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      let length = this.CHUNK_SIZE;
+      while (this.byteLength(JSON.stringify(text.substr(start, length))) > this.CHUNK_SIZE) {
+        length = Math.floor(length / 2);
+      }
+      chunks.push(text.substr(start, length));
+      start += length;
+    }
+    return chunks;
+  },
+
+  hash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 33 ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+  },
+
+  // Each write puts its chunks under keys of a new generation and only then points the meta
+  //   record at them, so readers never see a mix of two writes.
+  chunkKey(meta, i) {
+    if (!meta.generation) {
+      // Written before chunks had generations
+      return `${this.CHUNK_PREFIX}${i}`;
+    }
+    return `${this.CHUNK_PREFIX}${meta.generation}@@_${i}`;
+  },
+
+  chunkKeys(meta) {
+    const keys = [];
+    for (let i = 0; i < meta.chunks; i++) {
+      keys.push(this.chunkKey(meta, i));
+    }
+    return keys;
+  },
+
+  // What the items take up against the storage.sync quota, which counts keys and JSON values
+  itemsLength(items) {
+    return Object.keys(items).reduce((length, key) => {
+      return length + this.byteLength(key) + this.byteLength(JSON.stringify(items[key]));
+    }, 0);
+  },
+
+  // Returns null while the chunks of the latest write haven't all arrived, and DAMAGED if
+  //   they are still missing WRITE_TIMEOUT after it
+  async readRemote() {
+    const area = browser.storage.sync;
+    const metaResponse = await area.get([this.META_KEY]);
+    const meta = metaResponse && metaResponse[this.META_KEY];
+    if (!meta) {
+      return this.emptyState();
+    }
+    const keys = this.chunkKeys(meta);
+    const chunks = await area.get(keys);
+    const text = keys.map((key) => chunks[key] || "").join("");
+    if (this.hash(text) !== meta.hash) {
+      return Date.now() - (meta.written || 0) > this.WRITE_TIMEOUT ? this.DAMAGED : null;
+    }
+    return JSON.parse(text);
+  },
+
+  // Chunk keys that the meta record doesn't name, left by a write that didn't finish
+  async getUnusedChunkKeys(meta) {
+    const used = meta ? this.chunkKeys(meta) : [];
+    const stored = await browser.storage.sync.get();
+    return Object.keys(stored || {}).filter((key) => {
+      return key.startsWith(this.CHUNK_PREFIX) && !used.includes(key);
+    });
+  },
+
+  async writeRemote(state) {
+    const area = browser.storage.sync;
+    const metaResponse = await area.get([this.META_KEY]);
+    const previous = metaResponse && metaResponse[this.META_KEY];
+    const unused = await this.getUnusedChunkKeys(previous);
+    if (unused.length) {
+      await area.remove(unused);
+    }
+
+    const text = JSON.stringify(state);
+    const chunks = this.split(text);
+    const meta = {
+      generation: this.createId(),
+      chunks: chunks.length,
+      hash: this.hash(text),
+      written: Date.now()
+    };
+    const items = {};
+    chunks.forEach((chunk, i) => {
+      items[this.chunkKey(meta, i)] = chunk;
+    });
+    // The previous generation is only removed once the new one is in place
+    const kept = Object.assign({}, await area.get());
+    delete kept[this.META_KEY];
+    const length = this.itemsLength(kept) + this.itemsLength(items) + this.itemsLength({[this.META_KEY]: meta});
+    if (length > this.QUOTA) {
+      throw new Error("The rules are too large for Firefox Sync");
+    }
+    await area.set(items);
+    await area.set({
+      [this.META_KEY]: meta
+    });
+    if (previous) {
+      await area.remove(this.chunkKeys(previous));
+    }
+  },
+
+  // The containers and rules of this device, with sync ids in place of userContextIds.
+  //   Containers seen for the first time take the sync id of a remote container with the
+  //   same name so that setting up a second device doesn't duplicate them.
+  async getLocalState(remote) {
+    const identities = await browser.contextualIdentities.query({});
+    const temporary = await temporaryContainers.storageArea.get();
+    const syncIds = await this.storageArea.getValue(this.storageArea.idsKey, {});
+    const state = this.emptyState();
+    const localToSync = {};
+    identities.forEach((identity) => {
+      if (temporary.includes(identity.cookieStoreId)) {
+        return;
+      }
+      let syncId = syncIds[identity.cookieStoreId];
+      if (!syncId) {
+        syncId = Object.keys(remote.containers).find((id) => {
+          return !remote.containers[id].deleted
+            && remote.containers[id].value.name === identity.name
+            && !Object.values(syncIds).includes(id);
+        }) || this.createId();
+        syncIds[identity.cookieStoreId] = syncId;
+      }
+      localToSync[backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId)] = syncId;
+      state.containers[syncId] = {
+        name: identity.name,
+        color: identity.color,
+        icon: identity.icon
+      };
+    });
+    await this.storageArea.setValue(this.storageArea.idsKey, syncIds);
+
+    const storage = await browser.storage.local.get();
+    Object.keys(storage).forEach((key) => {
+      if (!backup.isRuleKey(key)) {
+        return;
+      }
+      const rule = backup.translate(key, storage[key], localToSync);
+      if (rule) {
+        state.rules[rule.key] = rule.value;
+      }
+    });
+    return {state, localToSync};
+  },
+
+  // Stamps the items that changed here since the last sync
+  stamp(items, baseItems, modified, device) {
+    const stamped = {};
+    Object.keys(items).forEach((id) => {
+      const base = baseItems[id];
+      if (base && !base.deleted && JSON.stringify(base.value) === JSON.stringify(items[id])) {
+        stamped[id] = base;
+      } else {
+        stamped[id] = {value: items[id], modified, device};
+      }
+    });
+    Object.keys(baseItems).forEach((id) => {
+      if (!(id in items)) {
+        stamped[id] = baseItems[id].deleted ? baseItems[id] : {deleted: true, modified, device};
+      }
+    });
+    return stamped;
+  },
+
+  isNewer(item, other) {
+    if (item.modified !== other.modified) {
+      return item.modified > other.modified;
+    }
+    return item.device > other.device;
+  },
+
+  mergeItems(local, remote, now) {
+    const merged = {};
+    new Set(Object.keys(local).concat(Object.keys(remote))).forEach((id) => {
+      let item = remote[id];
+      if (!item || (local[id] && this.isNewer(local[id], item))) {
+        item = local[id];
+      }
+      if (!item.deleted || now - item.modified < this.TOMBSTONE_LIFETIME) {
+        merged[id] = item;
+      }
+    });
+    return merged;
+  },
+
+  merge(local, remote, now) {
+    return {
+      containers: this.mergeItems(local.containers, remote.containers, now),
+      rules: this.mergeItems(local.rules, remote.rules, now)
+    };
+  },
+
+  // Brings the containers and rules of this device in line with the merged state
+  //   state is the one of this device before the merge
+  async apply(merged, state, localToSync) {
+    const syncIds = await this.storageArea.getValue(this.storageArea.idsKey, {});
+    const syncToLocal = {};
+    Object.keys(localToSync).forEach((userContextId) => {
+      syncToLocal[localToSync[userContextId]] = userContextId;
+    });
+
+    for (const syncId of Object.keys(merged.containers)) {
+      const container = merged.containers[syncId];
+      const userContextId = syncToLocal[syncId];
+      if (container.deleted) {
+        if (userContextId) {
+          delete syncIds[backgroundLogic.cookieStoreId(userContextId)];
+          await backgroundLogic.deleteContainer(userContextId);
+        }
+        continue;
+      }
+      const params = {
+        name: container.value.name,
+        color: container.value.color,
+        icon: container.value.icon
+      };
+      if (!userContextId) {
+        const identity = await browser.contextualIdentities.create(params);
+        syncIds[identity.cookieStoreId] = syncId;
+        syncToLocal[syncId] = backgroundLogic.getUserContextIdFromCookieStoreId(identity.cookieStoreId);
+      } else if (JSON.stringify(state.containers[syncId]) !== JSON.stringify(params)) {
+        await browser.contextualIdentities.update(backgroundLogic.cookieStoreId(userContextId), params);
+      }
+    }
+    await this.storageArea.setValue(this.storageArea.idsKey, syncIds);
+
+    const storage = await browser.storage.local.get();
+    const remove = [];
+    Object.keys(storage).forEach((key) => {
+      if (!backup.isRuleKey(key)) {
+        return;
+      }
+      const rule = backup.translate(key, storage[key], localToSync);
+      if (rule && merged.rules[rule.key] && merged.rules[rule.key].deleted) {
+        remove.push(key);
+      }
+    });
+    const entries = {};
+    Object.keys(merged.rules).forEach((key) => {
+      if (merged.rules[key].deleted) {
+        return;
+      }
+      const rule = backup.translate(key, merged.rules[key].value, syncToLocal);
+      if (rule && JSON.stringify(storage[rule.key]) !== JSON.stringify(rule.value)) {
+        entries[rule.key] = rule.value;
+      }
+    });
+    if (remove.length) {
+      await browser.storage.local.remove(remove);
+    }
+    if (Object.keys(entries).length) {
+      await browser.storage.local.set(entries);
+    }
+    if (remove.length || Object.keys(entries).length) {
+      browser.runtime.sendMessage({
+        method: "refreshNeeded"
+      });
+    }
+  },
+
+  async synchronize() {
+    if (!await this.storageArea.isEnabled()) {
+      return;
+    }
+    const status = {lastSync: null, error: null};
+    try {
+      let remote = await this.readRemote();
+      if (!remote) {
+        // The rest of the other device's write schedules another run, this one is in case it never comes
+        this.schedule(this.WRITE_TIMEOUT);
+        return;
+      }
+      const now = Date.now();
+      const device = await this.storageArea.getDeviceId();
+      const base = await this.storageArea.getValue(this.storageArea.baseKey, this.emptyState());
+      const damaged = remote === this.DAMAGED;
+      if (damaged) {
+        // A write that never finished, start again from the state of the last sync here
+        this.log.warn("The synced data is incomplete, writing it again");
+        status.error = "The synced data was incomplete and has been written again from this device";
+        remote = base;
+      }
+      const {state, localToSync} = await this.getLocalState(remote);
+      const local = {
+        containers: this.stamp(state.containers, base.containers, now, device),
+        rules: this.stamp(state.rules, base.rules, now, device)
+      };
+      const merged = this.merge(local, remote, now);
+      await this.apply(merged, state, localToSync);
+      if (damaged || JSON.stringify(merged) !== JSON.stringify(remote)) {
+        await this.writeRemote(merged);
+      }
+      await this.storageArea.setValue(this.storageArea.baseKey, merged);
+      status.lastSync = new Date(now).toISOString();
+    } catch (e) {
+      this.log.warn(`Sync failed: ${e.message}`);
+      status.error = e.message;
+    }
+    await this.storageArea.setValue(this.storageArea.statusKey, status);
+  },
+
+  // Runs one sync at a time, the changes a sync makes itself only cause a run without effect.
+  //   A sync that fails doesn't keep the ones after it from running.
+  run() {
+    const result = this.queue.catch(() => {}).then(() => this.synchronize());
+    this.queue = result;
+    return result;
+  },
+
+  schedule(delay = this.DELAY) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.run(), delay);
+  },
+
+  async getStatus() {
+    const status = await this.storageArea.getValue(this.storageArea.statusKey, {lastSync: null, error: null});
+    return Object.assign({enabled: await this.storageArea.isEnabled()}, status);
+  },
+
+  async setEnabled(enabled) {
+    await this.storageArea.setValue(this.storageArea.enabledKey, Boolean(enabled));
+    if (enabled) {
+      await this.run();
+    }
+    return this.getStatus();
+  },
+
+  init() {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      const keys = Object.keys(changes);
+      if ((areaName === "sync" && keys.some((key) => key === this.META_KEY))
+        || (areaName === "local" && keys.some((key) => backup.isRuleKey(key)))) {
+        this.schedule();
+      }
+    });
+
+    ["onCreated", "onUpdated", "onRemoved"].forEach((event) => {
+      if (browser.contextualIdentities[event]) {
+        browser.contextualIdentities[event].addListener(() => this.schedule());
+      }
+    });
+
+    this.schedule();
+  }
+};
+
+sync.init();
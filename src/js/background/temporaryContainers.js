@@ -0,0 +1,148 @@
+const temporaryContainers = {
+  // Assignments and transition rules store this instead of a userContextId to open
+  //   the page in a fresh temporary container
+  TARGET: "temporary",
+  NAME_PREFIX: "Temporary ",
+  COLORS: ["blue", "turquoise", "green", "yellow", "orange", "red", "pink", "purple"],
+
+  // Session restore recreates the tabs of the previous session a while after startup,
+  //   their containers aren't swept before this is over
+  RESTORE_DELAY: 2 * 60 * 1000,
+
+  // Containers a tab is being opened in must not be swept before the tab exists
+  opening: new Set(),
+  restoring: false,
+
+  storageArea: {
+    area: browser.storage.local,
+    storeKey: "temporaryContainers",
+
+    async get() {
+      const storageResponse = await this.area.get([this.storeKey]);
+      if (storageResponse && this.storeKey in storageResponse) {
+        return storageResponse[this.storeKey];
+      }
+      return [];
+    },
+
+    // add and remove read the list and write it back, one at a time so none of them is lost
+    queue: Promise.resolve(),
+
+    set(cookieStoreIds) {
+      return this.area.set({
+        [this.storeKey]: cookieStoreIds
+      });
+    },
+
+    update(change) {
+      const result = this.queue.catch(() => {}).then(async () => {
+        const cookieStoreIds = change(await this.get());
+        if (cookieStoreIds) {
+          await this.set(cookieStoreIds);
+        }
+      });
+      this.queue = result;
+      return result;
+    },
+
+    add(cookieStoreId) {
+      return this.update((cookieStoreIds) => cookieStoreIds.concat(cookieStoreId));
+    },
+
+    remove(cookieStoreId) {
+      return this.update((cookieStoreIds) => {
+        if (!cookieStoreIds.includes(cookieStoreId)) {
+          return null;
+        }
+        return cookieStoreIds.filter((id) => id !== cookieStoreId);
+      });
+    }
+  },
+
+  async isTemporary(cookieStoreId) {
+    const cookieStoreIds = await this.storageArea.get();
+    return cookieStoreIds.includes(cookieStoreId);
+  },
+
+  async create() {
+    const identities = await browser.contextualIdentities.query({});
+    let number = 0;
+    identities.forEach((identity) => {
+      if (identity.name.startsWith(this.NAME_PREFIX)) {
+        number = Math.max(number, Number(identity.name.substr(this.NAME_PREFIX.length)) || 0);
+      }
+    });
+    ++number;
+    const identity = await browser.contextualIdentities.create({
+      name: `${this.NAME_PREFIX}${number}`,
+      color: this.COLORS[number % this.COLORS.length],
+      icon: "circle"
+    });
+    await this.storageArea.add(identity.cookieStoreId);
+    return identity;
+  },
+
+  // Opens url in a new temporary container, options are passed on to tabs.create
+  async openTab(url, options = {}) {
+    const identity = await this.create();
+    this.opening.add(identity.cookieStoreId);
+    try {
+      return await browser.tabs.create(Object.assign({}, options, {
+        url,
+        cookieStoreId: identity.cookieStoreId
+      }));
+    } finally {
+      this.opening.delete(identity.cookieStoreId);
+    }
+  },
+
+  // Removes the temporary containers without open or hidden tabs. Removing a container
+  //   also clears its cookies and other site data.
+  //   closedTabId is a tab that was just closed but may still be returned by tabs.query
+  async removeUnused(closedTabId) {
+    if (this.restoring) {
+      return;
+    }
+    const cookieStoreIds = await this.storageArea.get();
+    for (const cookieStoreId of cookieStoreIds) {
+      if (this.opening.has(cookieStoreId)) {
+        continue;
+      }
+      const tabs = await browser.tabs.query({cookieStoreId});
+      const containerState = await identityState.storageArea.get(cookieStoreId);
+      if (tabs.some((tab) => tab.id !== closedTabId) || containerState.hiddenTabs.length) {
+        continue;
+      }
+      await this.storageArea.remove(cookieStoreId);
+      try {
+        await backgroundLogic.deleteContainer(backgroundLogic.getUserContextIdFromCookieStoreId(cookieStoreId));
+      } catch (e) {
+        // The user removed it already
+      }
+    }
+  },
+
+  init() {
+    browser.tabs.onRemoved.addListener((tabId) => {
+      this.removeUnused(tabId);
+    });
+
+    if (browser.contextualIdentities.onRemoved) {
+      browser.contextualIdentities.onRemoved.addListener(({contextualIdentity}) => {
+        this.storageArea.remove(contextualIdentity.cookieStoreId);
+      });
+    }
+
+    // The containers of the previous session are swept once session restore had time to
+    //   bring their tabs back, after a reload of the add-on the next closed tab sweeps them
+    browser.runtime.onStartup.addListener(() => {
+      this.restoring = true;
+      setTimeout(() => {
+        this.restoring = false;
+        this.removeUnused();
+      }, this.RESTORE_DELAY);
+    });
+  }
+};
+
+temporaryContainers.init();
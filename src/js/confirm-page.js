@@ -3,31 +3,119 @@ async function load() {
   const redirectUrl = searchParams.get("url");
   const cookieStoreId = searchParams.get("cookieStoreId");
   const currentCookieStoreId = searchParams.get("currentCookieStoreId");
+  const candidates = searchParams.has("candidates") ? searchParams.get("candidates").split(",") : [cookieStoreId];
+  const ruleKey = searchParams.get("ruleKey");
   const redirectUrlElement = document.getElementById("redirect-url");
   redirectUrlElement.textContent = redirectUrl;
   appendFavicon(redirectUrl, redirectUrlElement);
 
-  const container = await browser.contextualIdentities.get(cookieStoreId);
+  const container = await getContainer(cookieStoreId);
   [...document.querySelectorAll(".container-name")].forEach((containerNameElement) => {
     containerNameElement.textContent = container.name;
   });
+  await fillContainerPicker(cookieStoreId, candidates);
 
   // If default container, button will default to normal HTML content
   if (currentCookieStoreId) {
     const currentContainer = await browser.contextualIdentities.get(currentCookieStoreId);
     document.getElementById("current-container-name").textContent = currentContainer.name;
+    document.getElementById("remember-source-name").textContent = currentContainer.name;
   }
   document.getElementById("deny").addEventListener("click", (e) => {
     e.preventDefault();
-    denySubmit(redirectUrl);
+    denySubmit(redirectUrl, currentCookieStoreId);
   });
 
   document.getElementById("confirm").addEventListener("click", (e) => {
     e.preventDefault();
-    confirmSubmit(redirectUrl, cookieStoreId);
+    confirmSubmit(redirectUrl, currentCookieStoreId, candidates, ruleKey);
   });
 }
 
+// Any container can be picked instead of the one the rules chose. Sites assigned to
+//   several containers list those first.
+async function fillContainerPicker(cookieStoreId, candidates) {
+  const picker = document.getElementById("container-picker");
+  const identities = await browser.contextualIdentities.query({});
+  const choices = [{name: "Default", cookieStoreId: "firefox-default"}]
+    .concat(identities)
+    .concat({name: "New temporary", cookieStoreId: "temporary"});
+  const createOption = (identity) => {
+    const option = document.createElement("option");
+    option.value = identity.cookieStoreId;
+    option.textContent = identity.name;
+    return option;
+  };
+  if (candidates.length > 1) {
+    const assigned = document.createElement("optgroup");
+    const others = document.createElement("optgroup");
+    assigned.label = "Assigned containers";
+    others.label = "Other containers";
+    choices.forEach((identity) => {
+      const group = candidates.includes(identity.cookieStoreId) ? assigned : others;
+      group.appendChild(createOption(identity));
+    });
+    picker.appendChild(assigned);
+    picker.appendChild(others);
+  } else {
+    choices.forEach((identity) => {
+      picker.appendChild(createOption(identity));
+    });
+  }
+  picker.value = cookieStoreId;
+  const update = () => {
+    const option = picker.options[picker.selectedIndex];
+    document.getElementById("confirm-container-name").textContent = option ? option.textContent : "";
+    // "Never ask" applies to the rule that asked, which only points to its candidates
+    const neverAsk = document.getElementById("never-ask");
+    neverAsk.disabled = !candidates.includes(picker.value);
+    if (neverAsk.disabled) {
+      neverAsk.checked = false;
+    }
+  };
+  picker.addEventListener("change", update);
+  update();
+}
+
+// Transition rules store userContextIds, the default container is false
+function getUserContextId(cookieStoreId) {
+  if (cookieStoreId === "temporary") {
+    return cookieStoreId;
+  }
+  const match = /^firefox-container-(.+)$/.exec(cookieStoreId || "");
+  return match ? match[1] : false;
+}
+
+// Remembers the choice for pages of this site opened from the current container,
+//   leaving the assignment alone
+function rememberTransition(redirectUrl, currentCookieStoreId, cookieStoreId, action) {
+  if (!document.getElementById("remember-transition").checked) {
+    return;
+  }
+  return browser.runtime.sendMessage({
+    method: "setOrRemoveTransitionSettings",
+    sourceContainerId: getUserContextId(currentCookieStoreId),
+    url: redirectUrl,
+    userContextId: getUserContextId(cookieStoreId),
+    value: false,
+    neverAsk: true,
+    action
+  });
+}
+
+// Transition rules can send a page back to the default container, which isn't a contextual identity
+async function getContainer(cookieStoreId) {
+  // A new temporary container is only created once the user confirms
+  if (cookieStoreId === "temporary") {
+    return {name: "Temporary", cookieStoreId};
+  }
+  try {
+    return await browser.contextualIdentities.get(cookieStoreId);
+  } catch (e) {
+    return {name: "Default", cookieStoreId};
+  }
+}
+
 function appendFavicon(pageUrl, redirectUrlElement) {
   const origin = new URL(pageUrl).origin;
   const favIconElement = Utils.createFavIconElement(`${origin}/favicon.ico`);
@@ -35,17 +123,29 @@ function appendFavicon(pageUrl, redirectUrlElement) {
   redirectUrlElement.prepend(favIconElement);
 }
 
-function confirmSubmit(redirectUrl, cookieStoreId) {
+async function confirmSubmit(redirectUrl, currentCookieStoreId, candidates, ruleKey) {
+  const cookieStoreId = document.getElementById("container-picker").value;
+  // The candidate picked is offered first next time
+  if (candidates.length > 1 && candidates.includes(cookieStoreId)) {
+    await browser.runtime.sendMessage({
+      method: "rememberCandidateChoice",
+      pageUrl: redirectUrl,
+      sourceContainerId: getUserContextId(currentCookieStoreId),
+      userContextId: getUserContextId(cookieStoreId)
+    });
+  }
   const neverAsk = document.getElementById("never-ask").checked;
   // Sending neverAsk message to background to store for next time we see this process
   if (neverAsk) {
     browser.runtime.sendMessage({
       method: "neverAsk",
       neverAsk: true,
-      pageUrl: redirectUrl
+      pageUrl: redirectUrl,
+      ruleKey
     });
   }
-  openInContainer(redirectUrl, cookieStoreId);
+  await rememberTransition(redirectUrl, currentCookieStoreId, cookieStoreId, "open");
+  openInContainer(redirectUrl, cookieStoreId, currentCookieStoreId);
 }
 
 function getCurrentTab() {
@@ -55,24 +155,29 @@ function getCurrentTab() {
   });
 }
 
-async function denySubmit(redirectUrl) {
+async function denySubmit(redirectUrl, currentCookieStoreId) {
+  await rememberTransition(redirectUrl, currentCookieStoreId, currentCookieStoreId, "stay");
   const tab = await getCurrentTab();
   await browser.runtime.sendMessage({
     method: "exemptContainerAssignment",
     tabId: tab[0].id,
-    pageUrl: redirectUrl
+    pageUrl: redirectUrl,
+    lifetime: document.getElementById("exempt-lifetime").value
   });
   document.location.replace(redirectUrl);
 }
 
 load();
 
-async function openInContainer(redirectUrl, cookieStoreId) {
+async function openInContainer(redirectUrl, cookieStoreId, currentCookieStoreId) {
   const tab = await getCurrentTab();
-  await browser.tabs.create({
-    index: tab[0].index + 1,
+  await browser.runtime.sendMessage({
+    method: "openInContainer",
+    url: redirectUrl,
     cookieStoreId,
-    url: redirectUrl
+    currentCookieStoreId,
+    openerTabId: tab[0].openerTabId,
+    index: tab[0].index + 1
   });
   if (tab.length > 0) {
     browser.tabs.remove(tab[0].id);
@@ -17,12 +17,24 @@ async function doAnimation(element, property, value) {
   });
 }
 
+// message.actions are buttons that send their message to the background when clicked
 async function addMessage(message) {
   const divElement = document.createElement("div");
   divElement.classList.add("container-notification");
   // Ideally we would use https://bugzilla.mozilla.org/show_bug.cgi?id=1340930 when this is available
   divElement.innerText = message.text;
 
+  const actions = message.actions || [];
+  actions.forEach((action) => {
+    const buttonElement = document.createElement("button");
+    buttonElement.classList.add("container-notification-action");
+    buttonElement.textContent = action.label;
+    buttonElement.addEventListener("click", () => {
+      browser.runtime.sendMessage(action.message);
+    });
+    divElement.appendChild(buttonElement);
+  });
+
   const imageElement = document.createElement("img");
   const imagePath = browser.extension.getURL("/img/container-site-d-24.png");
   const response = await fetch(imagePath);
@@ -35,7 +47,8 @@ async function addMessage(message) {
 
   await delayAnimation(100);
   await doAnimation(divElement, "transform", "translateY(0)");
-  await delayAnimation(3000);
+  // Leave time to reach the buttons
+  await delayAnimation(actions.length ? 8000 : 3000);
   await doAnimation(divElement, "transform", "translateY(-100%)");
 
   divElement.remove();
@@ -0,0 +1,312 @@
+const RULE_NAMES = {
+  assignment: "Assignment",
+  urlRule: "URL rule",
+  transition: "Transition rule",
+  defaultTransition: "Default transition rule",
+  exemption: "Exemption",
+  sameHost: "Same site",
+  fallback: "No rule"
+};
+
+const OUTCOME_NAMES = {
+  none: "Nothing done",
+  confirm: "Confirm page",
+  reopen: "Reopened",
+  canceled: "Canceled duplicate",
+  blocked: "Blocked",
+  private: "Private window"
+};
+
+let logEntries = [];
+let containerNames = {};
+let importDocument = null;
+
+function setStatus(text, isError = false) {
+  const status = document.getElementById("import-status");
+  status.textContent = text;
+  status.classList.toggle("error", isError);
+}
+
+function downloadJSON(data, fileName) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {type: "application/json"});
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+async function exportRules() {
+  const doc = await browser.runtime.sendMessage({
+    method: "exportRules"
+  });
+  downloadJSON(doc, `containers-with-transitions-${doc.exportedAt.substr(0, 10)}.json`);
+}
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// Nothing is written until the user has seen what the import changes
+async function previewImport() {
+  const file = document.getElementById("import-file").files[0];
+  document.getElementById("import-preview").hidden = true;
+  setStatus("");
+  if (!file) {
+    return;
+  }
+  try {
+    importDocument = JSON.parse(await readFile(file));
+    const diff = await browser.runtime.sendMessage({
+      method: "previewImport",
+      document: importDocument,
+      mode: document.getElementById("import-mode").value
+    });
+    showDiff(diff);
+  } catch (e) {
+    importDocument = null;
+    setStatus(`Can't import this file: ${e.message}`, true);
+  }
+}
+
+function showDiff(diff) {
+  const list = document.getElementById("import-diff");
+  list.innerHTML = "";
+  const addLines = (lines, className, prefix) => {
+    lines.forEach((line) => {
+      const item = document.createElement("li");
+      item.classList.add(className);
+      item.textContent = `${prefix} ${line}`;
+      list.appendChild(item);
+    });
+  };
+  addLines(diff.createContainers, "diff-added", "New container:");
+  addLines(diff.added, "diff-added", "Add:");
+  addLines(diff.changed, "diff-changed", "Change:");
+  addLines(diff.removed, "diff-removed", "Remove:");
+  addLines(diff.skipped, "diff-removed", "Skip, its container isn't in the file:");
+  addLines(diff.unconverted, "diff-removed", "Can't convert:");
+  if (!list.children.length) {
+    setStatus(`Nothing to import, all ${diff.unchanged} rules are the same.`);
+    return;
+  }
+  document.getElementById("import-preview").hidden = false;
+}
+
+async function applyImport() {
+  try {
+    const result = await browser.runtime.sendMessage({
+      method: "importRules",
+      document: importDocument,
+      mode: document.getElementById("import-mode").value
+    });
+    let text = `Imported ${result.imported} rules.`;
+    if (result.createdContainers.length) {
+      text += ` Created ${result.createdContainers.join(", ")}.`;
+    }
+    if (result.unconverted.length) {
+      text += ` ${result.unconverted.length} settings of the other extension could not be converted.`;
+    }
+    setStatus(text);
+  } catch (e) {
+    setStatus(`Import failed: ${e.message}`, true);
+  }
+  cancelImport();
+}
+
+function cancelImport() {
+  importDocument = null;
+  document.getElementById("import-file").value = "";
+  document.getElementById("import-preview").hidden = true;
+}
+
+function showSyncStatus(status) {
+  document.getElementById("sync-enabled").checked = status.enabled;
+  document.getElementById("sync-now").hidden = !status.enabled;
+  const text = document.getElementById("sync-status");
+  text.classList.toggle("error", Boolean(status.error));
+  if (!status.enabled) {
+    text.textContent = "";
+  } else if (status.error) {
+    text.textContent = `Sync failed: ${status.error}`;
+  } else if (status.lastSync) {
+    text.textContent = `Last synced ${new Date(status.lastSync).toLocaleString()}.`;
+  } else {
+    text.textContent = "Not synced yet.";
+  }
+}
+
+async function setSyncEnabled(e) {
+  showSyncStatus(await browser.runtime.sendMessage({
+    method: "setSyncEnabled",
+    enabled: e.target.checked
+  }));
+}
+
+async function syncNow() {
+  showSyncStatus(await browser.runtime.sendMessage({
+    method: "syncNow"
+  }));
+}
+
+function containerName(userContextId) {
+  if (userContextId === "temporary") {
+    return "New temporary container";
+  }
+  return containerNames[userContextId] || (userContextId ? `Container ${userContextId}` : "Default");
+}
+
+async function loadLog() {
+  const identities = await browser.contextualIdentities.query({});
+  containerNames = {};
+  identities.forEach((identity) => {
+    containerNames[identity.cookieStoreId.replace("firefox-container-", "")] = identity.name;
+  });
+  logEntries = await browser.runtime.sendMessage({
+    method: "getRoutingLog"
+  });
+  showLog();
+}
+
+function showLog() {
+  const outcome = document.getElementById("log-outcome").value;
+  const ruleType = document.getElementById("log-rule").value;
+  const search = document.getElementById("log-search").value.trim().toLowerCase();
+  const entries = logEntries.filter((entry) => {
+    const text = `${entry.url} ${containerName(entry.sourceContainerId)}`.toLowerCase();
+    return (!outcome || entry.outcome === outcome)
+      && (!ruleType || entry.rule.type === ruleType)
+      && (!search || text.includes(search));
+  });
+  const tbody = document.querySelector("#log-table > tbody");
+  tbody.innerHTML = "";
+  // Latest first
+  entries.reverse().forEach((entry) => {
+    const row = document.createElement("tr");
+    let outcomeText = OUTCOME_NAMES[entry.outcome] || entry.outcome;
+    if (entry.targetContainerId !== undefined) {
+      outcomeText += `: ${containerName(entry.targetContainerId)}`;
+    }
+    [
+      new Date(entry.time).toLocaleString(),
+      entry.tabId,
+      containerName(entry.sourceContainerId),
+      entry.url,
+      RULE_NAMES[entry.rule.type] || entry.rule.type,
+      outcomeText
+    ].forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    row.title = entry.rule.storeKey || entry.rule.reason || "";
+    tbody.appendChild(row);
+  });
+  document.getElementById("log-empty").hidden = entries.length > 0;
+}
+
+function exportLog() {
+  downloadJSON(logEntries, `containers-with-transitions-log-${new Date().toISOString().substr(0, 10)}.json`);
+}
+
+async function clearLog() {
+  await browser.runtime.sendMessage({
+    method: "clearRoutingLog"
+  });
+  await loadLog();
+}
+
+function showOrphans(found) {
+  const list = document.getElementById("orphans-list");
+  list.innerHTML = "";
+  found.forEach((orphan) => {
+    const item = document.createElement("li");
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = true;
+    checkbox.value = orphan.key;
+    label.appendChild(checkbox);
+    const gone = orphan.missing.map((userContextId) => `container ${userContextId}`).join(", ");
+    label.appendChild(document.createTextNode(` ${orphan.description}, ${gone} no longer exists`));
+    item.appendChild(label);
+    list.appendChild(item);
+  });
+  document.getElementById("orphans-empty").hidden = found.length > 0;
+  document.getElementById("orphans-actions").hidden = found.length === 0;
+}
+
+async function loadOrphans() {
+  const identities = await browser.contextualIdentities.query({});
+  const target = document.getElementById("orphans-target");
+  target.innerHTML = "";
+  identities.forEach((identity) => {
+    const option = document.createElement("option");
+    option.value = identity.cookieStoreId.replace("firefox-container-", "");
+    option.textContent = identity.name;
+    target.appendChild(option);
+  });
+  document.getElementById("orphans-move").disabled = identities.length === 0;
+  showOrphans(await browser.runtime.sendMessage({
+    method: "getOrphans"
+  }));
+}
+
+async function resolveOrphans(userContextId) {
+  const keys = Array.from(document.querySelectorAll("#orphans-list input:checked")).map((checkbox) => checkbox.value);
+  const status = document.getElementById("orphans-status");
+  status.classList.remove("error");
+  if (!keys.length) {
+    status.textContent = "Select the rules first.";
+    return;
+  }
+  try {
+    const result = await browser.runtime.sendMessage({
+      method: "resolveOrphans",
+      keys,
+      userContextId
+    });
+    showOrphans(result.orphans);
+    status.textContent = result.conflicts.length
+      ? `Deleted, as the container already has its own: ${result.conflicts.join(", ")}.`
+      : "";
+  } catch (e) {
+    status.textContent = e.message;
+    status.classList.add("error");
+  }
+}
+
+document.getElementById("export-button").addEventListener("click", exportRules);
+document.getElementById("import-file").addEventListener("change", previewImport);
+document.getElementById("import-mode").addEventListener("change", previewImport);
+document.getElementById("import-apply").addEventListener("click", applyImport);
+document.getElementById("import-cancel").addEventListener("click", cancelImport);
+
+document.getElementById("sync-enabled").addEventListener("change", setSyncEnabled);
+document.getElementById("sync-now").addEventListener("click", syncNow);
+
+document.getElementById("log-outcome").addEventListener("change", showLog);
+document.getElementById("log-rule").addEventListener("change", showLog);
+document.getElementById("log-search").addEventListener("input", showLog);
+document.getElementById("log-refresh").addEventListener("click", loadLog);
+document.getElementById("log-export").addEventListener("click", exportLog);
+document.getElementById("log-clear").addEventListener("click", clearLog);
+
+document.getElementById("orphans-refresh").addEventListener("click", loadOrphans);
+document.getElementById("orphans-delete").addEventListener("click", () => resolveOrphans());
+document.getElementById("orphans-move").addEventListener("click", () => {
+  resolveOrphans(document.getElementById("orphans-target").value);
+});
+
+browser.runtime.sendMessage({
+  method: "getSyncStatus"
+}).then(showSyncStatus).catch((e) => { throw e; });
+loadLog().catch((e) => { throw e; });
+loadOrphans().catch((e) => { throw e; });
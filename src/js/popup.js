@@ -22,8 +22,15 @@ const P_CONTAINERS_EDIT  = "containersEdit";
 const P_CONTAINER_INFO   = "containerInfo";
 const P_CONTAINER_EDIT   = "containerEdit";
 const P_CONTAINER_DELETE = "containerDelete";
+const P_CONTAINER_DUPLICATE = "containerDuplicate";
+const P_CONTAINER_MERGE  = "containerMerge";
 const P_CONTAINERS_ACHIEVEMENT = "containersAchievement";
 const P_TRANSITION_TARGET= "pickTransitionTarget";
+const P_EXEMPTIONS       = "exemptions";
+const P_SIMULATOR        = "simulator";
+const P_DIAGNOSTICS      = "diagnostics";
+// Lines of the background log shown in the diagnostics panel
+const DIAGNOSTICS_LINES  = 200;
 
 /**
  * Escapes any occurances of &, ", <, > or / with XML entities.
@@ -102,7 +109,8 @@ const Logic = {
 
     switch (onboarded) {
     case 5:
-      this.showAchievementOrContainersListPanel();
+      await this.showAchievementOrContainersListPanel();
+      await this.showPendingPanel();
       break;
     case 4:
       this.showPanel(P_ONBOARDING_5);
@@ -134,12 +142,28 @@ const Logic = {
       }
     }
     if (showAchievements) {
-      this.showPanel(P_CONTAINERS_ACHIEVEMENT);
+      await this.showPanel(P_CONTAINERS_ACHIEVEMENT);
     } else {
-      this.showPanel(P_CONTAINERS_LIST);
+      await this.showPanel(P_CONTAINERS_LIST);
     }
   },
 
+  // The "Edit rule" button of the toast after a silent reroute leaves the transition
+  //   rule to edit for the popup. Assignments are edited in the header of the list.
+  async showPendingPanel() {
+    const currentTab = await this.currentTab();
+    const pendingPanel = currentTab && await browser.runtime.sendMessage({
+      method: "takePendingPanel",
+      tabId: currentTab.id
+    });
+    if (!pendingPanel || !["transition", "defaultTransition"].includes(pendingPanel.ruleType)) {
+      return;
+    }
+    this.setTransitionEditMode(pendingPanel.ruleType === "transition" ? 1 : 0);
+    const identity = this.identityByUserContextId(pendingPanel.sourceContainerId) || this.defaultIdentity();
+    await this.showPanel(P_TRANSITION_TARGET, identity);
+  },
+
   // In case the user wants to click multiple actions,
   // they have to click the "Done" button to stop the panel
   // from showing
@@ -174,8 +198,8 @@ const Logic = {
     });
   },
 
-  async identity(cookieStoreId) {
-    const defaultContainer = {
+  defaultIdentity(cookieStoreId = "firefox-default") {
+    return {
       name: "Default",
       cookieStoreId,
       icon: "default-tab",
@@ -183,6 +207,10 @@ const Logic = {
       numberOfHiddenTabs: 0,
       numberOfOpenTabs: 0
     };
+  },
+
+  async identity(cookieStoreId) {
+    const defaultContainer = this.defaultIdentity(cookieStoreId);
     // Handle old style rejection with null and also Promise.reject new style
     try {
       return await browser.contextualIdentities.get(cookieStoreId) || defaultContainer;
@@ -265,6 +293,7 @@ const Logic = {
         identity.hasHiddenTabs = stateObject.hasHiddenTabs;
         identity.numberOfHiddenTabs = stateObject.numberOfHiddenTabs;
         identity.numberOfOpenTabs = stateObject.numberOfOpenTabs;
+        identity.isTemporary = stateObject.isTemporary;
       }
       return identity;
     });
@@ -347,32 +376,52 @@ const Logic = {
     return identity.cookieStoreId;
   },
 
-  removeIdentity(userContextId) {
+  // plan tells what happens to the rules of the container, see backgroundLogic.deleteContainer
+  removeIdentity(userContextId, plan) {
     if (!userContextId) {
       return Promise.reject("removeIdentity must be called with userContextId argument.");
     }
 
     return browser.runtime.sendMessage({
       method: "deleteContainer",
-      message: {userContextId}
+      message: {userContextId, plan}
     });
   },
 
-  getTransitionSettings(sourceContainerId, url) {
+  getContainerRules(userContextId) {
+    return browser.runtime.sendMessage({
+      method: "getContainerRules",
+      userContextId
+    });
+  },
+
+  getTransitionSettings(sourceContainerId, url, originUrl) {
     return browser.runtime.sendMessage({
       method: "getTransitionSettings",
       sourceContainerId: sourceContainerId,
-      url: url
+      url: url,
+      originUrl
     });
   },
 
-  setOrRemoveTransitionSettings(sourceContainerId, url, userContextId, value) {
+  getOriginTransitionSettings(sourceContainerId, url) {
+    return browser.runtime.sendMessage({
+      method: "getOriginTransitionSettings",
+      sourceContainerId,
+      url
+    });
+  },
+
+  setOrRemoveTransitionSettings(sourceContainerId, url, userContextId, value, originUrl, neverAsk = true, action = "open") {
     return browser.runtime.sendMessage({
       method: "setOrRemoveTransitionSettings",
       sourceContainerId,
       url,
       userContextId,
-      value
+      value,
+      originUrl,
+      neverAsk,
+      action
     });
   },
 
@@ -383,6 +432,90 @@ const Logic = {
     });
   },
 
+  getExemptions() {
+    return browser.runtime.sendMessage({
+      method: "getExemptions"
+    });
+  },
+
+  getExemption(tab) {
+    return browser.runtime.sendMessage({
+      method: "getExemption",
+      tabId: tab.id
+    });
+  },
+
+  // Without a tabId every exemption is removed
+  removeExemption(hostname, tabId) {
+    return browser.runtime.sendMessage({
+      method: "removeExemption",
+      hostname,
+      tabId
+    });
+  },
+
+  getProvenance(tab) {
+    return browser.runtime.sendMessage({
+      method: "getProvenance",
+      tabId: tab.id
+    });
+  },
+
+  undoProvenance(tab) {
+    return browser.runtime.sendMessage({
+      method: "undoProvenance",
+      tabId: tab.id
+    });
+  },
+
+  // Asks the background where a navigation would open without opening anything
+  simulateNavigation(cookieStoreId, url, originUrl, tabId) {
+    return browser.runtime.sendMessage({
+      method: "simulateNavigation",
+      cookieStoreId,
+      url,
+      originUrl,
+      tabId
+    });
+  },
+
+  getLogLines(count) {
+    return browser.runtime.sendMessage({
+      method: "getLogLines",
+      count
+    });
+  },
+
+  getDebugLogging() {
+    return browser.runtime.sendMessage({
+      method: "getDebugLogging"
+    });
+  },
+
+  setDebugLogging(enabled) {
+    return browser.runtime.sendMessage({
+      method: "setDebugLogging",
+      enabled
+    });
+  },
+
+  describeExemption(exemption) {
+    const reasons = {
+      confirm: "you chose to stay in this container",
+      sameSite: "followed a link within the site",
+      opened: "opened here by a rule",
+      assigned: "was open when the site got assigned",
+      undone: "you moved it back to where it came from"
+    };
+    let lifetime = "while the tab is open";
+    if (exemption.lifetime === "session") {
+      lifetime = "in every tab of the container until the browser is closed";
+    } else if (exemption.lifetime === "hour") {
+      lifetime = `in every tab of the container until ${new Date(exemption.expires).toLocaleTimeString()}`;
+    }
+    return `${reasons[exemption.reason] || "exempted"}, ${lifetime}`;
+  },
+
   getAssignmentObjectByContainer(userContextId) {
     return browser.runtime.sendMessage({
       method: "getAssignmentObjectByContainer",
@@ -390,13 +523,30 @@ const Logic = {
     });
   },
 
-  setOrRemoveAssignment(tabId, url, userContextId, value) {
+  getUrlRules(userContextId) {
+    return browser.runtime.sendMessage({
+      method: "getUrlRules",
+      userContextId
+    });
+  },
+
+  setOrRemoveUrlRule(tabId, rule, value) {
+    return browser.runtime.sendMessage({
+      method: "setOrRemoveUrlRule",
+      tabId,
+      rule,
+      value
+    });
+  },
+
+  setOrRemoveAssignment(tabId, url, userContextId, value, scope) {
     return browser.runtime.sendMessage({
       method: "setOrRemoveAssignment",
       tabId,
       url,
       userContextId,
-      value
+      value,
+      scope
     });
   },
 
@@ -422,6 +572,33 @@ const Logic = {
     }
   },
 
+  // Rules that ask before switching container get a question mark on their icon
+  renderTransitionIcon(siteSettings) {
+    const targetIdentity = this.actionIdentity(siteSettings.action)
+      || (siteSettings.userContextId === "temporary" ? this.temporaryIdentity() : null)
+      || this.identityByUserContextId(siteSettings.userContextId);
+    const askClass = siteSettings.neverAsk === false ? "transition-ask" : "";
+    return `<div class="userContext-icon-wrapper clickable-no-icon-change pick-transition ${askClass}">
+          ${this.renderIdentityIcon(targetIdentity)}
+        </div>`;
+  },
+
+  // Rules can open pages in a new temporary container instead of an existing one
+  temporaryIdentity() {
+    return {name: "New temporary container", icon: "temporary-container", color: "default-tab"};
+  },
+
+  // Block and private-window rules have no target container, they get their own icon
+  actionIdentity(action) {
+    switch (action) {
+    case "block":
+      return {name: "Block this navigation", icon: "block-navigation", color: "default-tab"};
+    case "private":
+      return {name: "Open in a new private window", icon: "private-window", color: "default-tab"};
+    }
+    return null;
+  },
+
   renderIdentityIcon(identity) {
     if(identity && identity.icon) {
       return escaped`<div class="usercontext-icon"
@@ -602,6 +779,34 @@ Logic.registerPanel(P_CONTAINERS_LIST, {
       await this.finishEditTransitions();
     });
 
+    Logic.addEnterHandler(document.querySelector("#current-path-rule-link"), async () => {
+      await this.toggleCurrentPathRule();
+    });
+
+    Logic.addEnterHandler(document.querySelector("#exemptions-link"), () => {
+      Logic.showPanel(P_EXEMPTIONS);
+    });
+
+    // Shift+click leads to the diagnostics, which aren't linked from anywhere else
+    Logic.addEnterHandler(document.querySelector("#simulator-link"), (e) => {
+      Logic.showPanel(e.shiftKey ? P_DIAGNOSTICS : P_SIMULATOR);
+    });
+
+    Logic.addEnterHandler(document.querySelector("#current-tab-provenance-link"), async () => {
+      const currentTab = await Logic.currentTab();
+      await Logic.undoProvenance(currentTab);
+      window.close();
+    });
+
+    Logic.addEnterHandler(document.querySelector("#current-tab-exemption-link"), async () => {
+      const currentTab = await Logic.currentTab();
+      const exemption = await Logic.getExemption(currentTab);
+      if (exemption) {
+        await Logic.removeExemption(exemption.hostname, exemption.tabId);
+      }
+      document.getElementById("current-tab-exemption").hidden = true;
+    });
+
     document.addEventListener("keydown", (e) => {
       const selectables = [...document.querySelectorAll("[tabindex='0']")];
       // no idea why this was here --MS
@@ -660,8 +865,17 @@ Logic.registerPanel(P_CONTAINERS_LIST, {
 
   setupAssignmentCheckbox(siteSettings, currentUserContextId) {
     const assignmentCheckboxElement = document.getElementById("container-page-assigned");
+    const assignmentScopeElement = document.getElementById("container-page-assigned-scope");
     let checked = false;
-    if (siteSettings && Number(siteSettings.userContextId) === currentUserContextId) {
+    // Sites can be assigned to several containers
+    const candidates = siteSettings && (siteSettings.candidates || [siteSettings.userContextId]);
+    if (candidates && candidates.map(Number).includes(currentUserContextId)) {
+      checked = true;
+    }
+    // Assignments made in a temporary container target whichever new temporary container
+    const currentIdentity = Logic.identityByUserContextId(currentUserContextId);
+    if (siteSettings && siteSettings.userContextId === "temporary"
+        && currentIdentity && currentIdentity.isTemporary) {
       checked = true;
     }
     assignmentCheckboxElement.checked = checked;
@@ -670,22 +884,150 @@ Logic.registerPanel(P_CONTAINERS_LIST, {
       disabled = true;
     }
     assignmentCheckboxElement.disabled = disabled;
+
+    // The scope can only be picked when creating an assignment, an existing one shows the scope it has
+    if (checked) {
+      if (siteSettings.hostname.startsWith("*.")) {
+        assignmentScopeElement.value = "wildcard";
+      } else if (siteSettings.includeSubdomains) {
+        assignmentScopeElement.value = "subdomains";
+      } else {
+        assignmentScopeElement.value = "host";
+      }
+    }
+    assignmentScopeElement.disabled = disabled || checked;
+  },
+
+  // Rules don't apply to an exempted tab, the header says so and why
+  async setupExemption(currentTab) {
+    const exemptionElement = document.getElementById("current-tab-exemption");
+    const exemption = await Logic.getExemption(currentTab);
+    exemptionElement.hidden = !exemption;
+    if (exemption) {
+      document.getElementById("current-tab-exemption-text").textContent =
+        `Rules don't apply here: ${Logic.describeExemption(exemption)}`;
+    }
+  },
+
+  // Tabs the rules opened say where they came from and which rule sent them here
+  async setupProvenance(currentTab) {
+    const provenanceElement = document.getElementById("current-tab-provenance");
+    const provenance = await Logic.getProvenance(currentTab);
+    provenanceElement.hidden = !provenance;
+    if (provenance) {
+      const source = Logic.identityByUserContextId(provenance.sourceContainerId);
+      const sourceName = source ? source.name : "Default";
+      document.getElementById("current-tab-provenance-text").textContent =
+        `Moved here from ${sourceName}: ${provenance.description}`;
+      document.getElementById("current-tab-provenance-link").title =
+        `Reopen this page in ${sourceName} and don't apply the rules to it there`;
+    }
+  },
+
+  setupAssignmentScopeOptions(url) {
+    const hostname = new window.URL(url).hostname;
+    const labels = hostname.split(".");
+    const wildcardOption = document.querySelector("#container-page-assigned-scope [value='wildcard']");
+    // "*.com" is not something anybody wants, so only offer a wildcard below a parent domain
+    wildcardOption.hidden = labels.length < 3;
+    wildcardOption.textContent = `All of *.${labels.slice(1).join(".")}`;
+  },
+
+  // A pattern of the given type for the first path segment of the page, e.g. "github.com/org-a"
+  suggestPathPattern(url, type) {
+    const firstSegment = url.pathname.split("/")[1];
+    if (type === "glob") {
+      return `${url.host}/${firstSegment}/*`;
+    }
+    if (type === "regex") {
+      return `^https?://${url.host.replace(/\./g, "\\.")}/${firstSegment}(/|$)`;
+    }
+    return `${url.host}/${firstSegment}`;
+  },
+
+  // Suggest a prefix rule for the first path segment of the page
+  async setupPathRule(currentTab, currentUserContextId) {
+    const pathRuleElement = document.getElementById("current-path-rule");
+    const url = new window.URL(currentTab.url);
+    const firstSegment = url.pathname.split("/")[1];
+    pathRuleElement.hidden = !currentUserContextId || !firstSegment || !["http:", "https:"].includes(url.protocol);
+    if (pathRuleElement.hidden) {
+      return;
+    }
+    const typeElement = document.getElementById("current-path-rule-type");
+    const patternElement = document.getElementById("current-path-rule-pattern");
+    typeElement.value = "prefix";
+    patternElement.value = this.suggestPathPattern(url, typeElement.value);
+    document.getElementById("current-path-rule-priority").value = 0;
+    this._pathRules = await Logic.getUrlRules(currentUserContextId);
+    this.updatePathRuleLink();
+    patternElement.oninput = () => {
+      this.updatePathRuleLink();
+    };
+    let suggestedType = typeElement.value;
+    typeElement.onchange = () => {
+      // The pattern follows the type as long as the user hasn't changed it
+      if (patternElement.value === this.suggestPathPattern(url, suggestedType)) {
+        patternElement.value = this.suggestPathPattern(url, typeElement.value);
+      }
+      suggestedType = typeElement.value;
+      this.updatePathRuleLink();
+    };
+  },
+
+  findCurrentPathRule() {
+    const type = document.getElementById("current-path-rule-type").value;
+    const pattern = document.getElementById("current-path-rule-pattern").value.trim();
+    return (this._pathRules || []).find((rule) => rule.type === type && rule.pattern === pattern);
+  },
+
+  updatePathRuleLink() {
+    const linkElement = document.getElementById("current-path-rule-link");
+    const rule = this.findCurrentPathRule();
+    linkElement.textContent = rule ? "Remove path rule" : "Assign path";
+    if (rule) {
+      document.getElementById("current-path-rule-priority").value = rule.priority || 0;
+    }
+  },
+
+  async toggleCurrentPathRule() {
+    const currentTab = await Logic.currentTab();
+    const userContextId = Logic.userContextId(currentTab.cookieStoreId);
+    const pattern = document.getElementById("current-path-rule-pattern").value.trim();
+    if (!pattern) {
+      return;
+    }
+    const remove = !!this.findCurrentPathRule();
+    await Logic.setOrRemoveUrlRule(currentTab.id, {
+      type: document.getElementById("current-path-rule-type").value,
+      pattern,
+      priority: Number(document.getElementById("current-path-rule-priority").value) || 0,
+      userContextId
+    }, remove);
+    this._pathRules = await Logic.getUrlRules(userContextId);
+    this.updatePathRuleLink();
   },
 
   async prepareCurrentTabHeader() {
     const currentTab = await Logic.currentTab();
     const currentTabElement = document.getElementById("current-tab");
     const assignmentCheckboxElement = document.getElementById("container-page-assigned");
+    const assignmentScopeElement = document.getElementById("container-page-assigned-scope");
     const currentTabUserContextId = Logic.userContextId(currentTab.cookieStoreId);
     assignmentCheckboxElement.addEventListener("change", () => {
-      Logic.setOrRemoveAssignment(currentTab.id, currentTab.url, currentTabUserContextId, !assignmentCheckboxElement.checked);
+      Logic.setOrRemoveAssignment(currentTab.id, currentTab.url, currentTabUserContextId, !assignmentCheckboxElement.checked, assignmentScopeElement.value);
+      assignmentScopeElement.disabled = assignmentCheckboxElement.checked;
     });
     currentTabElement.hidden = !currentTab;
     this.setupAssignmentCheckbox(false, currentTabUserContextId);
     if (currentTab) {
       const identity = await Logic.identity(currentTab.cookieStoreId);
       const siteSettings = await Logic.getAssignment(currentTab);
+      this.setupAssignmentScopeOptions(currentTab.url);
       this.setupAssignmentCheckbox(siteSettings, currentTabUserContextId);
+      this.setupPathRule(currentTab, currentTabUserContextId);
+      this.setupExemption(currentTab);
+      this.setupProvenance(currentTab);
       const currentPage = document.getElementById("current-page");
       currentPage.innerHTML = escaped`<h3 class="page-title truncate-text">${currentTab.title}</h3>`;
       const favIconElement = Utils.createFavIconElement(currentTab.favIconUrl || "");
@@ -706,22 +1048,23 @@ Logic.registerPanel(P_CONTAINERS_LIST, {
     }
   },
 
+  // Every container can be the source of a transition, and so can the default context
+  transitionSources() {
+    return [...Logic.identities(), Logic.defaultIdentity()];
+  },
+
   async startEditTransitions() {
     Logic.setTransitionEditMode(1);
     document.querySelector(".transitions").setAttribute("hidden","1");
     document.querySelector(".transitions-edit").removeAttribute("hidden");
+    document.querySelector(".default-source-row").removeAttribute("hidden");
     const currentTab = await Logic.currentTab();
-    Logic.identities().forEach(async identity => {
+    this.transitionSources().forEach(async identity => {
       const tbtn = document.getElementById(escaped`ctx${identity.cookieStoreId}t`);
       const siteSettings = await Logic.getTransitionSettings(Logic.userContextId(identity.cookieStoreId),currentTab.url);
- 
-      const targetIdentity = Logic.identityByUserContextId(siteSettings.userContextId); 
 
       tbtn.parentNode.removeAttribute("hidden");
-      tbtn.innerHTML=`
-        <div class="userContext-icon-wrapper clickable-no-icon-change pick-transition">
-          ${Logic.renderIdentityIcon(targetIdentity)}
-        </div>`;
+      tbtn.innerHTML = Logic.renderTransitionIcon(siteSettings);
     });
   },
 
@@ -729,25 +1072,20 @@ Logic.registerPanel(P_CONTAINERS_LIST, {
     Logic.setTransitionEditMode(0);
     document.querySelector(".transitions").setAttribute("hidden","1");
     document.querySelector(".transitions-edit-defaults").removeAttribute("hidden");
-    const currentTab = await Logic.currentTab();
-    Logic.identities().forEach(async identity => {
+    document.querySelector(".default-source-row").removeAttribute("hidden");
+    this.transitionSources().forEach(async identity => {
       const tbtn = document.getElementById(escaped`ctx${identity.cookieStoreId}t`);
       const siteSettings = await Logic.getTransitionSettings(Logic.userContextId(identity.cookieStoreId),"");
- 
-      const targetIdentity = Logic.identityByUserContextId(siteSettings.userContextId); 
 
       tbtn.parentNode.removeAttribute("hidden");
-      tbtn.innerHTML=`
-        <div class="userContext-icon-wrapper clickable-no-icon-change pick-transition">
-          ${Logic.renderIdentityIcon(targetIdentity)}
-        </div>`;
+      tbtn.innerHTML = Logic.renderTransitionIcon(siteSettings);
     });
   },
 
 
   async resetTransitionRules() {
     const currentTab = await Logic.currentTab();
-    Logic.identities().forEach(async identity => {
+    this.transitionSources().forEach(async identity => {
       Logic.setOrRemoveTransitionSettings(Logic.userContextId(identity.cookieStoreId), currentTab.url, false, true);
     });
   }, 
@@ -756,18 +1094,54 @@ Logic.registerPanel(P_CONTAINERS_LIST, {
     document.querySelector(".transitions-edit-defaults").setAttribute("hidden","1");
     document.querySelector(".transitions-edit").setAttribute("hidden","1");
     document.querySelector(".transitions").removeAttribute("hidden");
+    document.querySelector(".default-source-row").setAttribute("hidden","1");
 
-    Logic.identities().forEach(async identity => {
+    this.transitionSources().forEach(async identity => {
       const tbtn = document.getElementById(escaped`ctx${identity.cookieStoreId}t`);
       tbtn.parentNode.setAttribute("hidden","1");
     });
   },
 
+  // The default context only shows up while editing transition rules
+  createDefaultSourceRow() {
+    const identity = Logic.defaultIdentity();
+    const tr = document.createElement("tr");
+    const context = document.createElement("td");
+    const transition = document.createElement("td");
+
+    tr.classList.add("container-panel-row", "default-source-row");
+    tr.setAttribute("hidden", "1");
+
+    context.classList.add("userContext-wrapper");
+    context.innerHTML = escaped`
+      <div class="userContext-icon-wrapper">
+        <div class="usercontext-icon"
+          data-identity-icon="${identity.icon}"
+          data-identity-color="${identity.color}">
+        </div>
+      </div>
+      <div class="container-name truncate-text">Default container</div>`;
+    tr.appendChild(context);
+
+    transition.setAttribute("hidden", "1");
+    transition.classList.add("pick-transition", "clickable-no-icon-change", "pop-button");
+    transition.innerHTML = escaped`<img src='/img/container-transition.svg' class='pop-button-image-small' width='20px' /><div class="pick-transition" id="ctx${identity.cookieStoreId}t"></div>`;
+    tr.appendChild(transition);
+
+    Logic.addEnterHandler(tr, async function (e) {
+      if (e.target.matches(".pick-transition")
+          || e.target.parentNode.matches(".pick-transition")) {
+        Logic.showPanel(P_TRANSITION_TARGET, identity);
+      }
+    });
+    return tr;
+  },
+
   // This method is called when the panel is shown.
   async prepare() {
     const fragment = document.createDocumentFragment();
 
-     Logic.identities().forEach(identity => {
+    Logic.identities().forEach(identity => {
       const hasTabs = (identity.hasHiddenTabs || identity.hasOpenTabs);
       const tr = document.createElement("tr");
       const context = document.createElement("td");
@@ -791,6 +1165,9 @@ Logic.registerPanel(P_CONTAINERS_LIST, {
         <div class="container-name truncate-text"></div>`;
       context.querySelector(".container-name").textContent = identity.name;
       manage.innerHTML = "<img src='/img/container-arrow.svg' class='show-tabs pop-button-image-small' />";
+      if (identity.isTemporary) {
+        tr.classList.add("temporary-container");
+      }
 
       fragment.appendChild(tr);
 
@@ -826,6 +1203,8 @@ Logic.registerPanel(P_CONTAINERS_LIST, {
       });
     });
 
+    fragment.appendChild(this.createDefaultSourceRow());
+
     this.prepareCurrentTabHeader();
 
     const list = document.querySelector(".identities-list tbody");
@@ -867,7 +1246,10 @@ Logic.registerPanel(P_TRANSITION_TARGET, {
     Logic.addEnterHandler(document.querySelector("#close-transition-target-panel"), async () => {
       await this.goBack();
     });
-
+    // Rules for links from a site ask or not on their own
+    document.getElementById("transition-origin-input").addEventListener("change", async () => {
+      await this.prepareAskCheckbox(await Logic.currentTab());
+    });
   },
   async goBack() {
     if(Logic.transitionEditMode()) {
@@ -900,10 +1282,10 @@ Logic.registerPanel(P_TRANSITION_TARGET, {
     icon.setAttribute("data-identity-icon", identity.icon);
     icon.setAttribute("data-identity-color", identity.color);
 
-    // Populating the panel: possible target containers
+    // Populating the panel: possible target containers, a temporary one goes away with its last tab
     const fragment = document.createDocumentFragment();
 
-    Logic.identities().forEach(identity => {
+    Logic.identities().filter(identity => !identity.isTemporary).forEach(identity => {
       const tr = document.createElement("tr");
       const context = document.createElement("td");
 
@@ -930,57 +1312,315 @@ Logic.registerPanel(P_TRANSITION_TARGET, {
         if (e.target.matches(".choose-target")
             || e.target.parentNode.matches(".choose-target")
             || e.type === "keydown") {
-          if(Logic.transitionEditMode()) {
-            Logic.setOrRemoveTransitionSettings(Logic.userContextId(Logic.currentIdentity().cookieStoreId),
-                                                currentTab.url, Logic.userContextId(identity.cookieStoreId), false);
-          
-          } else {
-            Logic.setOrRemoveTransitionSettings(Logic.userContextId(Logic.currentIdentity().cookieStoreId), 
-                                                "", Logic.userContextId(identity.cookieStoreId), false);
-          
-          }
-          this.goBack();
+          this.chooseTarget(currentTab, Logic.userContextId(identity.cookieStoreId));
         }
       });
     });
 
-    const tr = document.createElement("tr");
-    const context = document.createElement("td");
+    const sourceIdentity = Logic.currentIdentity();
+    const actions = [
+      {title: "Open in default container", name: "Default container", identity: null, userContextId: false, action: "open"},
+      {title: "Open in a new temporary container", name: "New temporary container", identity: Logic.temporaryIdentity(), userContextId: "temporary", action: "open"},
+      {title: "Stay in source container", name: "Stay in source container", identity: sourceIdentity, userContextId: false, action: "stay"},
+      {title: "Block this navigation", name: "Block", identity: Logic.actionIdentity("block"), userContextId: false, action: "block"},
+      {title: "Open in a new private window", name: "Private window", identity: Logic.actionIdentity("private"), userContextId: false, action: "private"}
+    ];
+    actions.forEach(target => {
+      const tr = document.createElement("tr");
+      const context = document.createElement("td");
 
-    tr.classList.add("container-panel-row");
+      tr.classList.add("container-panel-row");
 
-    context.classList.add("userContext-wrapper", "choose-target", "clickable-no-icon-change");
-    context.setAttribute("tabindex", "0");
-    context.title = escaped`Open in default container`;
-    context.innerHTML = `<div class="userContext-icon-wrapper choose-target">
-                           ${Logic.renderIdentityIcon(null)}
-                         </div><div class="container-name truncate-text">Default container</div>`;
+      context.classList.add("userContext-wrapper", "choose-target", "clickable-no-icon-change");
+      context.setAttribute("tabindex", "0");
+      context.title = target.title;
+      context.innerHTML = `<div class="userContext-icon-wrapper choose-target">
+                             ${Logic.renderIdentityIcon(target.identity)}
+                           </div><div class="container-name truncate-text"></div>`;
+      context.querySelector(".container-name").textContent = target.name;
 
-    fragment.appendChild(tr);
+      fragment.appendChild(tr);
 
-    tr.appendChild(context);
+      tr.appendChild(context);
 
-    Logic.addEnterHandler(tr, async (e) => {
+      Logic.addEnterHandler(tr, async (e) => {
         if (e.target.matches(".choose-target")
             || e.target.parentNode.matches(".choose-target")
             || e.type === "keydown") {
-          if(Logic.transitionEditMode()) {
-            Logic.setOrRemoveTransitionSettings(Logic.userContextId(Logic.currentIdentity().cookieStoreId), currentTab.url, false, false);
-          } else { 
-            Logic.setOrRemoveTransitionSettings(Logic.userContextId(Logic.currentIdentity().cookieStoreId), "", false, false);
-          }
-          this.goBack();
+          this.chooseTarget(currentTab, target.userContextId, target.action);
         }
+      });
     });
 
     const list = document.querySelector(".target-identities-list tbody");
 
     list.innerHTML = "";
     list.appendChild(fragment);
+
+    await this.prepareOriginRules(currentTab);
+    await this.prepareAskCheckbox(currentTab);
+  },
+
+  // Rules for a URL can be narrowed down to links coming from a given site
+  originUrl() {
+    const originHostname = document.getElementById("transition-origin-input").value.trim();
+    if (!Logic.transitionEditMode() || !originHostname) {
+      return undefined;
+    }
+    try {
+      return new window.URL(`https://${originHostname}`).href;
+    } catch (e) {
+      return undefined;
+    }
+  },
+
+  async chooseTarget(currentTab, userContextId, action = "open") {
+    const sourceContainerId = Logic.userContextId(Logic.currentIdentity().cookieStoreId);
+    const neverAsk = !document.getElementById("transition-ask").checked;
+    if(Logic.transitionEditMode()) {
+      await Logic.setOrRemoveTransitionSettings(sourceContainerId, currentTab.url, userContextId, false, this.originUrl(), neverAsk, action);
+    } else {
+      await Logic.setOrRemoveTransitionSettings(sourceContainerId, "", userContextId, false, undefined, neverAsk, action);
+    }
+    this.goBack();
+  },
+
+  async prepareAskCheckbox(currentTab) {
+    const sourceContainerId = Logic.userContextId(Logic.currentIdentity().cookieStoreId);
+    const url = Logic.transitionEditMode() ? currentTab.url : "";
+    const siteSettings = await Logic.getTransitionSettings(sourceContainerId, url, this.originUrl());
+    document.getElementById("transition-ask").checked = !!siteSettings && siteSettings.neverAsk === false;
+  },
+
+  async prepareOriginRules(currentTab) {
+    const originElement = document.getElementById("transition-origin");
+    originElement.hidden = !Logic.transitionEditMode();
+    document.getElementById("transition-origin-input").value = "";
+    const list = document.getElementById("transition-origin-rules");
+    list.innerHTML = "";
+    if (originElement.hidden) {
+      return;
+    }
+
+    const sourceContainerId = Logic.userContextId(Logic.currentIdentity().cookieStoreId);
+    const originTransitions = await Logic.getOriginTransitionSettings(sourceContainerId, currentTab.url) || {};
+    Object.keys(originTransitions).forEach((originHostname) => {
+      const targetIdentity = Logic.identityByUserContextId(originTransitions[originHostname].userContextId);
+      const row = document.createElement("div");
+      row.classList.add("container-info-tab-row");
+      row.innerHTML = escaped`
+        <div class="truncate-text hostname" title="Links from ${originHostname}">
+          From ${originHostname}: ${targetIdentity ? targetIdentity.name : "Default container"}
+        </div>
+        <img
+          class="pop-button-image delete-assignment"
+          src="/img/container-delete.svg"
+        />`;
+      Logic.addEnterHandler(row.querySelector(".delete-assignment"), async () => {
+        await Logic.setOrRemoveTransitionSettings(sourceContainerId, currentTab.url, false, true, `https://${originHostname}`);
+        row.remove();
+      });
+      list.appendChild(row);
+    });
+  },
+
+});
+
+
+// P_EXEMPTIONS: Tabs the rules don't apply to, by site.
+// ----------------------------------------------------------------------------
+
+Logic.registerPanel(P_EXEMPTIONS, {
+  panelSelector: "#exemptions-panel",
+
+  // This method is called when the object is registered.
+  initialize() {
+    Logic.addEnterHandler(document.querySelector("#close-exemptions-panel"), () => {
+      Logic.showPreviousPanel();
+    });
+
+    Logic.addEnterHandler(document.querySelector("#exemptions-clear-link"), async () => {
+      await Logic.removeExemption();
+      await this.prepare();
+    });
+  },
+
+  // This method is called when the panel is shown.
+  async prepare() {
+    const exemptions = await Logic.getExemptions() || [];
+    const list = document.getElementById("exemptions-list");
+    list.innerHTML = "";
+    document.getElementById("exemptions-empty").hidden = exemptions.length > 0;
+    document.getElementById("exemptions-clear-link").hidden = exemptions.length === 0;
+
+    const byHostname = {};
+    exemptions.forEach((exemption) => {
+      if (!byHostname[exemption.hostname]) {
+        byHostname[exemption.hostname] = [];
+      }
+      byHostname[exemption.hostname].push(exemption);
+    });
+    Object.keys(byHostname).sort().forEach((hostname) => {
+      const header = document.createElement("h4");
+      header.classList.add("exemptions-hostname", "truncate-text");
+      header.textContent = hostname;
+      list.appendChild(header);
+      byHostname[hostname].forEach((exemption) => {
+        const row = document.createElement("div");
+        row.classList.add("container-info-tab-row");
+        row.innerHTML = escaped`
+          <div class="truncate-text exemption-tab"></div>
+          <img
+            class="pop-button-image delete-assignment"
+            src="/img/container-delete.svg"
+          />`;
+        const tabElement = row.querySelector(".exemption-tab");
+        tabElement.textContent = exemption.title || `Tab ${exemption.tabId}`;
+        tabElement.title = Logic.describeExemption(exemption);
+        Logic.addEnterHandler(row.querySelector(".delete-assignment"), async () => {
+          await Logic.removeExemption(exemption.hostname, exemption.tabId);
+          await this.prepare();
+        });
+        list.appendChild(row);
+      });
+    });
+  },
+});
+
+// P_SIMULATOR: Where a navigation would open, and which rule decides it.
+// ----------------------------------------------------------------------------
+
+Logic.registerPanel(P_SIMULATOR, {
+  panelSelector: "#simulator-panel",
+
+  // This method is called when the object is registered.
+  initialize() {
+    Logic.addEnterHandler(document.querySelector("#close-simulator-panel"), () => {
+      Logic.showPreviousPanel();
+    });
+
+    Logic.addEnterHandler(document.querySelector("#simulator-run"), async () => {
+      await this.simulate();
+    });
+
+    document.querySelector("#simulator-navigation").addEventListener("change", () => {
+      this.showOriginField();
+    });
   },
 
+  // This method is called when the panel is shown.
+  async prepare() {
+    const currentTab = await Logic.currentTab();
+    const source = document.getElementById("simulator-source");
+    source.innerHTML = "";
+    [Logic.defaultIdentity()].concat(Logic.identities()).forEach((identity) => {
+      const option = document.createElement("option");
+      option.value = identity.cookieStoreId;
+      option.textContent = identity.name;
+      source.appendChild(option);
+    });
+    source.value = currentTab.cookieStoreId || "firefox-default";
+    document.getElementById("simulator-url").value = currentTab.url;
+    document.getElementById("simulator-origin").value = currentTab.url;
+    document.getElementById("simulator-result").hidden = true;
+    document.getElementById("simulator-error").textContent = "";
+    this.showOriginField();
+  },
+
+  showOriginField() {
+    const isLink = document.getElementById("simulator-navigation").value === "link";
+    document.querySelectorAll(".simulator-link-only").forEach((element) => {
+      element.hidden = !isLink;
+    });
+  },
+
+  // Name of where the page ends up, for a userContextId of a result
+  targetName(userContextId) {
+    if (userContextId === "temporary") {
+      return Logic.temporaryIdentity().name;
+    }
+    const identity = Logic.identityByUserContextId(userContextId);
+    return identity ? identity.name : "Default";
+  },
+
+  async simulate() {
+    const error = document.getElementById("simulator-error");
+    const resultElement = document.getElementById("simulator-result");
+    const cookieStoreId = document.getElementById("simulator-source").value;
+    const url = document.getElementById("simulator-url").value.trim();
+    const isLink = document.getElementById("simulator-navigation").value === "link";
+    const originUrl = isLink ? document.getElementById("simulator-origin").value.trim() : null;
+    error.textContent = "";
+    resultElement.hidden = true;
+    try {
+      new window.URL(url);
+      if (originUrl) {
+        new window.URL(originUrl);
+      }
+    } catch (e) {
+      error.textContent = "Enter full addresses, such as https://example.com";
+      return;
+    }
+
+    let tabId = null;
+    if (document.getElementById("simulator-current-tab").checked) {
+      tabId = (await Logic.currentTab()).id;
+    }
+    const result = await Logic.simulateNavigation(cookieStoreId, url, originUrl, tabId);
+
+    let target;
+    if (result.action === "block" || result.action === "private") {
+      target = Logic.actionIdentity(result.action).name;
+    } else if (result.action === "stay") {
+      target = `Stays in ${this.targetName(result.userContextId)}`;
+    } else {
+      target = this.targetName(result.userContextId);
+      if (result.candidates) {
+        target += ` (one of ${result.candidates.map((id) => this.targetName(id)).join(", ")})`;
+      }
+    }
+    document.getElementById("simulator-target").textContent = target;
+    document.getElementById("simulator-prompt").textContent = result.prompt ? "Yes, the confirm page asks first" : "No";
+    document.getElementById("simulator-rule").textContent = result.rule && result.rule.description || "No stored rule";
+    document.getElementById("simulator-reason").textContent = result.reason;
+    resultElement.hidden = false;
+  },
 });
 
+// P_DIAGNOSTICS: The latest lines of the background log, and the debug toggle.
+// ----------------------------------------------------------------------------
+
+Logic.registerPanel(P_DIAGNOSTICS, {
+  panelSelector: "#diagnostics-panel",
+
+  // This method is called when the object is registered.
+  initialize() {
+    Logic.addEnterHandler(document.querySelector("#close-diagnostics-panel"), () => {
+      Logic.showPreviousPanel();
+    });
+
+    document.querySelector("#diagnostics-debug").addEventListener("change", async (e) => {
+      await Logic.setDebugLogging(e.target.checked);
+      await this.showLines();
+    });
+
+    Logic.addEnterHandler(document.querySelector("#diagnostics-copy"), async () => {
+      const log = document.getElementById("diagnostics-log");
+      await navigator.clipboard.writeText(log.value);
+    });
+  },
+
+  // This method is called when the panel is shown.
+  async prepare() {
+    document.getElementById("diagnostics-debug").checked = await Logic.getDebugLogging();
+    await this.showLines();
+  },
+
+  async showLines() {
+    const lines = await Logic.getLogLines(DIAGNOSTICS_LINES);
+    document.getElementById("diagnostics-log").value = lines.join("\n");
+  },
+});
 
 // P_CONTAINER_INFO: More info about a container.
 // ----------------------------------------------------------------------------
@@ -1158,6 +1798,16 @@ Logic.registerPanel(P_CONTAINERS_EDIT, {
             src="/img/container-edit.svg"
             class="pop-button-image" />
         </td>
+        <td class="duplicate-container pop-button duplicate-container-icon">
+          <img
+            src="/img/container-duplicate.svg"
+            class="pop-button-image" />
+        </td>
+        <td class="merge-container pop-button merge-container-icon">
+          <img
+            src="/img/container-merge.svg"
+            class="pop-button-image" />
+        </td>
         <td class="remove-container pop-button delete-container-icon">
           <img
             class="pop-button-image"
@@ -1166,12 +1816,18 @@ Logic.registerPanel(P_CONTAINERS_EDIT, {
         </td>`;
       tr.querySelector(".container-name").textContent = identity.name;
       tr.querySelector(".edit-container").setAttribute("title", `Edit ${identity.name} container`);
+      tr.querySelector(".duplicate-container").setAttribute("title", `Duplicate ${identity.name} container`);
+      tr.querySelector(".merge-container").setAttribute("title", `Merge ${identity.name} into another container`);
       tr.querySelector(".remove-container").setAttribute("title", `Remove ${identity.name} container`);
 
 
       Logic.addEnterHandler(tr, e => {
         if (e.target.matches(".edit-container-icon") || e.target.parentNode.matches(".edit-container-icon")) {
           Logic.showPanel(P_CONTAINER_EDIT, identity);
+        } else if (e.target.matches(".duplicate-container-icon") || e.target.parentNode.matches(".duplicate-container-icon")) {
+          Logic.showPanel(P_CONTAINER_DUPLICATE, identity);
+        } else if (e.target.matches(".merge-container-icon") || e.target.parentNode.matches(".merge-container-icon")) {
+          Logic.showPanel(P_CONTAINER_MERGE, identity);
         } else if (e.target.matches(".delete-container-icon") || e.target.parentNode.matches(".delete-container-icon")) {
           Logic.showPanel(P_CONTAINER_DELETE, identity);
         }
@@ -1259,6 +1915,10 @@ Logic.registerPanel(P_CONTAINER_EDIT, {
       }
       assignmentKeys.forEach((siteKey) => {
         const site = assignments[siteKey];
+        if (site.type) {
+          this.showAssignedUrlRule(tableElement, assignments, siteKey);
+          return;
+        }
         const trElement = document.createElement("div");
         /* As we don't have the full or correct path the best we can assume is the path is HTTPS and then replace with a broken icon later if it doesn't load.
            This is pending a better solution for favicons from web extensions */
@@ -1289,6 +1949,29 @@ Logic.registerPanel(P_CONTAINER_EDIT, {
     }
   },
 
+  showAssignedUrlRule(tableElement, assignments, siteKey) {
+    const rule = assignments[siteKey];
+    const trElement = document.createElement("div");
+    trElement.innerHTML = escaped`
+      <img class="icon" src="/img/blank-favicon.svg">
+      <div title="${rule.type}: ${rule.pattern}" class="truncate-text hostname">
+        ${rule.pattern}
+      </div>
+      <img
+        class="pop-button-image delete-assignment"
+        src="/img/container-delete.svg"
+      />`;
+    const deleteButton = trElement.querySelector(".delete-assignment");
+    Logic.addEnterHandler(deleteButton, async () => {
+      const currentTab = await Logic.currentTab();
+      Logic.setOrRemoveUrlRule(currentTab.id, rule, true);
+      delete assignments[siteKey];
+      this.showAssignedContainers(assignments);
+    });
+    trElement.classList.add("container-info-tab-row", "clickable");
+    tableElement.appendChild(trElement);
+  },
+
   initializeRadioButtons() {
     const colorRadioTemplate = (containerColor) => {
       return escaped`<input type="radio" value="${containerColor}" name="container-color" id="edit-container-panel-choose-color-${containerColor}" />
@@ -1359,14 +2042,14 @@ Logic.registerPanel(P_CONTAINER_DELETE, {
       Logic.showPreviousPanel();
     });
 
-    Logic.addEnterHandler(document.querySelector("#delete-container-ok-link"), async function () {
+    Logic.addEnterHandler(document.querySelector("#delete-container-ok-link"), async () => {
       /* This promise wont resolve if the last tab was removed from the window.
           as the message async callback stops listening, this isn't an issue for us however it might be in future
           if you want to do anything post delete do it in the background script.
           Browser console currently warns about not listening also.
       */
       try {
-        await Logic.removeIdentity(Logic.userContextId(Logic.currentIdentity().cookieStoreId));
+        await Logic.removeIdentity(Logic.userContextId(Logic.currentIdentity().cookieStoreId), this.getPlan());
         await Logic.refreshIdentities();
         Logic.showPreviousPanel();
       } catch(e) {
@@ -1375,8 +2058,51 @@ Logic.registerPanel(P_CONTAINER_DELETE, {
     });
   },
 
+  // What happens to each rule of the container as picked in its menu
+  getPlan() {
+    const plan = {};
+    document.querySelectorAll("#delete-container-rules-list select").forEach((select) => {
+      const [action, userContextId] = select.value.split(":");
+      plan[select.dataset.key] = action === "move" ? {action, userContextId} : {action};
+    });
+    return plan;
+  },
+
+  async showRules(identity) {
+    const rules = await Logic.getContainerRules(Logic.userContextId(identity.cookieStoreId));
+    const list = document.getElementById("delete-container-rules-list");
+    list.innerHTML = "";
+    const otherIdentities = Logic.identities().filter((other) => other.cookieStoreId !== identity.cookieStoreId);
+    rules.forEach((rule) => {
+      const item = document.createElement("li");
+      const label = document.createElement("label");
+      label.textContent = rule.description;
+      const select = document.createElement("select");
+      select.dataset.key = rule.key;
+      select.title = "What happens to this rule";
+      const options = [["delete", "Delete"]];
+      // Only rules opening pages in the container can open them in Default instead
+      if (!rule.outbound) {
+        options.push(["default", "Convert to Default"]);
+      }
+      otherIdentities.forEach((other) => {
+        options.push([`move:${Logic.userContextId(other.cookieStoreId)}`, `Move to ${other.name}`]);
+      });
+      options.forEach(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      label.appendChild(select);
+      item.appendChild(label);
+      list.appendChild(item);
+    });
+    document.getElementById("delete-container-rules").hidden = rules.length === 0;
+  },
+
   // This method is called when the panel is shown.
-  prepare() {
+  async prepare() {
     const identity = Logic.currentIdentity();
 
     // Populating the panel: name, icon, and warning message
@@ -1394,10 +2120,150 @@ Logic.registerPanel(P_CONTAINER_DELETE, {
     icon.setAttribute("data-identity-icon", identity.icon);
     icon.setAttribute("data-identity-color", identity.color);
 
+    await this.showRules(identity);
+  },
+});
+
+// P_CONTAINER_DUPLICATE: Copy a container with its rules.
+// ----------------------------------------------------------------------------
+
+Logic.registerPanel(P_CONTAINER_DUPLICATE, {
+  panelSelector: "#duplicate-container-panel",
+
+  // This method is called when the object is registered.
+  initialize() {
+    Logic.addEnterHandler(document.querySelector("#duplicate-container-cancel-link"), () => {
+      Logic.showPreviousPanel();
+    });
+
+    Logic.addEnterHandler(document.querySelector("#duplicate-container-ok-link"), async () => {
+      try {
+        await browser.runtime.sendMessage({
+          method: "duplicateContainer",
+          message: {
+            userContextId: Logic.userContextId(Logic.currentIdentity().cookieStoreId),
+            name: document.getElementById("duplicate-container-name-input").value.trim(),
+            copyInbound: document.getElementById("duplicate-container-inbound").checked
+          }
+        });
+        await Logic.refreshIdentities();
+        Logic.showPreviousPanel();
+      } catch (e) {
+        Logic.showPanel(P_CONTAINERS_LIST);
+      }
+    });
+  },
+
+  // This method is called when the panel is shown.
+  prepare() {
+    const identity = Logic.currentIdentity();
+    document.getElementById("duplicate-container-name").textContent = identity.name;
+    const icon = document.getElementById("duplicate-container-icon");
+    icon.setAttribute("data-identity-icon", identity.icon);
+    icon.setAttribute("data-identity-color", identity.color);
+    document.getElementById("duplicate-container-name-input").value = `${identity.name} Copy`.substr(0, 25);
+    document.getElementById("duplicate-container-inbound").checked = false;
+
     return Promise.resolve(null);
   },
 });
 
+// P_CONTAINER_MERGE: Move the tabs and rules of a container into another one.
+// ----------------------------------------------------------------------------
+
+Logic.registerPanel(P_CONTAINER_MERGE, {
+  panelSelector: "#merge-container-panel",
+
+  // This method is called when the object is registered.
+  initialize() {
+    Logic.addEnterHandler(document.querySelector("#merge-container-cancel-link"), () => {
+      Logic.showPreviousPanel();
+    });
+
+    document.getElementById("merge-container-target").addEventListener("change", () => {
+      this.showConflicts(Logic.currentIdentity());
+    });
+
+    Logic.addEnterHandler(document.querySelector("#merge-container-ok-link"), async () => {
+      const targetUserContextId = document.getElementById("merge-container-target").value;
+      if (!targetUserContextId) {
+        return;
+      }
+      const keepSource = Array.from(document.querySelectorAll("#merge-container-conflicts-list select"))
+        .filter((select) => select.value === "source")
+        .map((select) => select.dataset.key);
+      try {
+        await browser.runtime.sendMessage({
+          method: "mergeContainer",
+          message: {
+            userContextId: Logic.userContextId(Logic.currentIdentity().cookieStoreId),
+            targetUserContextId,
+            keepSource
+          }
+        });
+        await Logic.refreshIdentities();
+        Logic.showPreviousPanel();
+      } catch (e) {
+        Logic.showPanel(P_CONTAINERS_LIST);
+      }
+    });
+  },
+
+  // The rules both containers have, each with a menu to pick the one that stays
+  async showConflicts(identity) {
+    const target = document.getElementById("merge-container-target");
+    const list = document.getElementById("merge-container-conflicts-list");
+    list.innerHTML = "";
+    const conflicts = !target.value ? [] : await browser.runtime.sendMessage({
+      method: "getMergeConflicts",
+      userContextId: Logic.userContextId(identity.cookieStoreId),
+      targetUserContextId: target.value
+    });
+    const targetName = target.selectedOptions[0] ? target.selectedOptions[0].textContent : "";
+    conflicts.forEach((conflict) => {
+      const item = document.createElement("li");
+      const label = document.createElement("label");
+      label.textContent = conflict.description;
+      const select = document.createElement("select");
+      select.dataset.key = conflict.key;
+      select.title = "Which rule stays";
+      [
+        ["target", `Keep ${targetName}'s: ${conflict.target}`],
+        ["source", `Keep ${identity.name}'s: ${conflict.source}`]
+      ].forEach(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      label.appendChild(select);
+      item.appendChild(label);
+      list.appendChild(item);
+    });
+    document.getElementById("merge-container-conflicts").hidden = conflicts.length === 0;
+  },
+
+  // This method is called when the panel is shown.
+  async prepare() {
+    const identity = Logic.currentIdentity();
+    document.getElementById("merge-container-name").textContent = identity.name;
+    const icon = document.getElementById("merge-container-icon");
+    icon.setAttribute("data-identity-icon", identity.icon);
+    icon.setAttribute("data-identity-color", identity.color);
+
+    const target = document.getElementById("merge-container-target");
+    target.innerHTML = "";
+    Logic.identities().filter((other) => other.cookieStoreId !== identity.cookieStoreId).forEach((other) => {
+      const option = document.createElement("option");
+      option.value = Logic.userContextId(other.cookieStoreId);
+      option.textContent = other.name;
+      target.appendChild(option);
+    });
+
+    await this.showConflicts(identity);
+  },
+});
+
 // P_CONTAINERS_ACHIEVEMENT: Page for achievement.
 // ----------------------------------------------------------------------------
 
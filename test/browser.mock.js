@@ -1,9 +1,34 @@
 module.exports = () => {
-  const _storage = {};
+  // Changes to the in-memory storage, including the ones tests make directly,
+  //   reach the storage.onChanged listeners as they would in Firefox
+  const notifyStorageChange = (changes, areaName) => {
+    browserMock.storage.onChanged.addListener.args.forEach(([listener]) => {
+      listener(changes, areaName);
+    });
+  };
+  const watchStorage = (areaName) => new Proxy({}, {
+    set(target, key, value) {
+      const change = {oldValue: target[key], newValue: value};
+      target[key] = value;
+      notifyStorageChange({[key]: change}, areaName);
+      return true;
+    },
+    deleteProperty(target, key) {
+      if (key in target) {
+        const change = {oldValue: target[key]};
+        delete target[key];
+        notifyStorageChange({[key]: change}, areaName);
+      }
+      return true;
+    }
+  });
+  const _storage = watchStorage("local");
+  const _syncStorage = watchStorage("sync");
 
   // could maybe be replaced by https://github.com/acvetkov/sinon-chrome
   const browserMock = {
     _storage,
+    _syncStorage,
     runtime: {
       onMessage: {
         addListener: sinon.stub(),
@@ -12,6 +37,16 @@ module.exports = () => {
         addListener: sinon.stub(),
       },
       sendMessage: sinon.stub().resolves(),
+      onStartup: {
+        addListener: sinon.stub(),
+      },
+      onInstalled: {
+        addListener: sinon.stub(),
+      },
+    },
+    sessions: {
+      getTabValue: sinon.stub().resolves(),
+      setTabValue: sinon.stub().resolves()
     },
     webRequest: {
       onBeforeRequest: {
@@ -26,6 +61,7 @@ module.exports = () => {
     },
     windows: {
       getCurrent: sinon.stub().resolves({}),
+      create: sinon.stub().resolves({}),
       onFocusChanged: {
         addListener: sinon.stub(),
       }
@@ -40,6 +76,9 @@ module.exports = () => {
       onUpdated: {
         addListener: sinon.stub()
       },
+      onRemoved: {
+        addListener: sinon.stub()
+      },
       sendMessage: sinon.stub(),
       query: sinon.stub().resolves([{}]),
       get: sinon.stub(),
@@ -53,12 +92,17 @@ module.exports = () => {
       local: {
         get: sinon.stub(),
         set: sinon.stub()
+      },
+      onChanged: {
+        addListener: sinon.stub()
       }
     },
     contextualIdentities: {
       create: sinon.stub(),
       get: sinon.stub(),
-      query: sinon.stub().resolves([])
+      query: sinon.stub().resolves([]),
+      update: sinon.stub().resolves(),
+      remove: sinon.stub().resolves()
     },
     contextMenus: {
       create: sinon.stub(),
@@ -68,6 +112,7 @@ module.exports = () => {
       }
     },
     browserAction: {
+      openPopup: sinon.stub().resolves(),
       setBadgeBackgroundColor: sinon.stub(),
       setBadgeText: sinon.stub()
     },
@@ -85,8 +130,8 @@ module.exports = () => {
     }
   };
 
-  // inmemory local storage
-  browserMock.storage.local = {
+  // inmemory local and sync storage
+  const createStorageArea = (_storage) => ({
     get: sinon.spy(async key => {
       if (!key) {
         return _storage;
@@ -131,7 +176,9 @@ module.exports = () => {
         delete _storage[key];
       }
     }),
-  };
+  });
+  browserMock.storage.local = createStorageArea(_storage);
+  browserMock.storage.sync = createStorageArea(_syncStorage);
 
   return browserMock;
 };
@@ -33,7 +33,8 @@ describe("Assignment Feature", () => {
         background.browser.tabs.create.should.have.been.calledWith({
           url: "moz-extension://multi-account-containers/confirm-page.html?" +
                `url=${encodeURIComponent(activeTab.url)}` +
-               `&cookieStoreId=${activeTab.cookieStoreId}`,
+               `&cookieStoreId=${activeTab.cookieStoreId}` +
+               `&ruleKey=${encodeURIComponent("siteContainerMap@@_example.com")}`,
           cookieStoreId: undefined,
           openerTabId: null,
           index: 2,
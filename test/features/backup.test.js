@@ -0,0 +1,228 @@
+describe("Backup Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://mail.example.com",
+    index: 0
+  };
+  const sendMessage = async (message) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.query.resolves([
+      {cookieStoreId: "firefox-container-1", name: "Work", color: "blue", icon: "briefcase"},
+      {cookieStoreId: "firefox-container-2", name: "Personal", color: "red", icon: "fingerprint"}
+    ]);
+    background.browser._storage["siteContainerMap@@_mail.example.com"] = {
+      userContextId: "1",
+      neverAsk: false
+    };
+    background.browser._storage["siteTransition@@_2@@_mail.example.com@@_news.example.com"] = {
+      userContextId: "1",
+      neverAsk: true
+    };
+    background.browser._storage["siteTransition@@_0@@_default"] = {
+      userContextId: false,
+      neverAsk: true
+    };
+  });
+
+  describe("export", () => {
+    it("should include the containers and rules", async () => {
+      const doc = await sendMessage({method: "exportRules"});
+
+      expect(doc.format).to.equal("containers-with-transitions");
+      expect(doc.version).to.equal(1);
+      expect(doc.containers).to.deep.equal([
+        {userContextId: "1", name: "Work", color: "blue", icon: "briefcase"},
+        {userContextId: "2", name: "Personal", color: "red", icon: "fingerprint"}
+      ]);
+      expect(doc.assignments).to.deep.equal([
+        {hostname: "mail.example.com", userContextId: "1", neverAsk: false}
+      ]);
+      expect(doc.transitions).to.deep.include({
+        sourceContainerId: "2",
+        hostname: "mail.example.com",
+        originHostname: "news.example.com",
+        userContextId: "1",
+        neverAsk: true
+      });
+      expect(doc.transitions).to.deep.include({
+        sourceContainerId: "0",
+        hostname: null,
+        userContextId: false,
+        neverAsk: true
+      });
+    });
+  });
+
+  describe("import from another profile", () => {
+    const doc = {
+      format: "containers-with-transitions",
+      version: 1,
+      containers: [
+        {userContextId: "7", name: "Work", color: "blue", icon: "briefcase"},
+        {userContextId: "8", name: "Shopping", color: "pink", icon: "cart"}
+      ],
+      assignments: [
+        {hostname: "mail.example.com", userContextId: "7", neverAsk: true},
+        {hostname: "shop.example.com", userContextId: "8", neverAsk: false}
+      ],
+      urlRules: [],
+      transitions: [
+        {sourceContainerId: "0", hostname: "shop.example.com", userContextId: "9", neverAsk: true}
+      ],
+      identitiesState: []
+    };
+
+    it("should preview the changes mapped by container name", async () => {
+      const diff = await sendMessage({method: "previewImport", document: doc, mode: "replace"});
+
+      expect(diff).to.deep.equal({
+        createContainers: ["Shopping"],
+        added: ["Assignment of shop.example.com"],
+        changed: ["Assignment of mail.example.com"],
+        removed: [
+          "Transition rule for mail.example.com from Personal on links from news.example.com",
+          "Transition rule for all sites from Default"
+        ],
+        unchanged: 0,
+        skipped: ["Transition rule for shop.example.com"],
+        unconverted: []
+      });
+    });
+
+    it("should merge the rules and create the missing container", async () => {
+      background.browser.contextualIdentities.create.resolves({cookieStoreId: "firefox-container-3"});
+      await sendMessage({method: "importRules", document: doc, mode: "merge"});
+
+      background.browser.contextualIdentities.create.should.have.been.calledWith({
+        name: "Shopping",
+        color: "pink",
+        icon: "cart"
+      });
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: true
+      });
+      expect(background.browser._storage["siteContainerMap@@_shop.example.com"]).to.deep.equal({
+        userContextId: "3",
+        neverAsk: false
+      });
+      expect(background.browser._storage["siteTransition@@_0@@_default"]).to.exist;
+    });
+
+    it("should add the hidden tabs to those the container has", async () => {
+      background.browser._storage["identitiesState@@_firefox-container-1"] = {
+        hiddenTabs: [{url: "https://mail.example.com/inbox"}]
+      };
+      const withHiddenTabs = Object.assign({}, doc, {
+        identitiesState: [{
+          userContextId: "7",
+          hiddenTabs: [{url: "https://mail.example.com/sent"}, {url: "https://mail.example.com/inbox"}]
+        }]
+      });
+      background.browser.contextualIdentities.create.resolves({cookieStoreId: "firefox-container-3"});
+      await sendMessage({method: "importRules", document: withHiddenTabs, mode: "replace"});
+
+      expect(background.browser._storage["identitiesState@@_firefox-container-1"]).to.deep.equal({
+        hiddenTabs: [{url: "https://mail.example.com/inbox"}, {url: "https://mail.example.com/sent"}]
+      });
+      expect(background.browser._storage).to.not.have.property("siteTransition@@_0@@_default");
+    });
+
+    it("should keep the state of the hidden tabs out of the rules cache", async () => {
+      const withHiddenTabs = Object.assign({}, doc, {
+        identitiesState: [{userContextId: "7", hiddenTabs: [{url: "https://mail.example.com/sent"}]}]
+      });
+      background.browser.contextualIdentities.create.resolves({cookieStoreId: "firefox-container-3"});
+      await sendMessage({method: "importRules", document: withHiddenTabs, mode: "merge"});
+
+      const storageArea = background.dom.window.eval("assignManager.storageArea");
+      expect(background.browser._storage).to.have.property("identitiesState@@_firefox-container-1");
+      expect(storageArea.rules).to.not.have.property("identitiesState@@_firefox-container-1");
+      expect(storageArea.rules).to.have.property("siteContainerMap@@_mail.example.com");
+      expect(storageArea.rulesByContainer).to.not.have.property("undefined");
+    });
+
+    it("should reject a document of another format", async () => {
+      let error;
+      try {
+        await sendMessage({method: "previewImport", document: {format: "other"}, mode: "merge"});
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal("This file is not a backup of Containers with Transitions, Multi-Account Containers or Temporary Containers");
+    });
+  });
+
+  describe("import from upstream backups", () => {
+    it("should convert Multi-Account Containers and report the never ask flags", async () => {
+      background.browser.contextualIdentities.create.resolves({cookieStoreId: "firefox-container-3"});
+      const result = await sendMessage({
+        method: "importRules",
+        document: {
+          identities: [
+            {name: "Work", color: "blue", icon: "briefcase", macAddonUUID: "uuid-work"},
+            {name: "Banking", color: "green", icon: "dollar", macAddonUUID: "uuid-bank"}
+          ],
+          assignedSites: {
+            "siteContainerMap@@_docs.example.com": {
+              userContextId: "5",
+              neverAsk: false,
+              hostname: "docs.example.com",
+              identityMacAddonUUID: "uuid-work"
+            },
+            "siteContainerMap@@_bank.example.com": {
+              userContextId: "6",
+              neverAsk: true,
+              hostname: "bank.example.com",
+              identityMacAddonUUID: "uuid-bank"
+            }
+          }
+        },
+        mode: "merge"
+      });
+
+      expect(result.createdContainers).to.deep.equal(["Banking"]);
+      expect(result.unconverted).to.deep.equal(["\"Never ask\" for bank.example.com"]);
+      expect(background.browser._storage["siteContainerMap@@_docs.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: false
+      });
+      expect(background.browser._storage["siteContainerMap@@_bank.example.com"]).to.deep.equal({
+        userContextId: "3",
+        neverAsk: false
+      });
+    });
+
+    it("should convert Temporary Containers and report the unsupported patterns", async () => {
+      const diff = await sendMessage({
+        method: "previewImport",
+        document: {
+          version: "1.9.2",
+          date: 1600000000000,
+          preferences: {
+            isolation: {
+              global: {navigation: {action: "never"}, mouseClick: {middle: {action: "never"}}},
+              domain: [
+                {pattern: "*.tracker.com", always: {action: "enabled"}, navigation: {action: "global"}},
+                {pattern: "/^https://ads\\./", always: {action: "enabled"}},
+                {pattern: "social.com", always: {action: "disabled"}, navigation: {action: "always"}}
+              ]
+            }
+          }
+        },
+        mode: "merge"
+      });
+
+      expect(diff.added).to.deep.equal(["Assignment of *.tracker.com"]);
+      expect(diff.unconverted).to.deep.equal([
+        "Always open /^https://ads\\./ in a temporary container, only hosts and \"*.\" patterns are supported",
+        "Isolation of social.com"
+      ]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+describe("Candidate Containers Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-2",
+    url: "https://mail.example.com",
+    index: 0
+  };
+  const newTab = {
+    id: 2,
+    cookieStoreId: "firefox-default",
+    url: "https://mail.example.com/inbox",
+    index: 1,
+    active: true
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser._storage["siteContainerMap@@_mail.example.com"] = {
+      userContextId: "1",
+      neverAsk: false
+    };
+  });
+
+  describe("assign the site from a second container", () => {
+    beforeEach(async () => {
+      await helper.popup.clickElementById("container-page-assigned");
+    });
+
+    it("should keep the first container as a candidate", async () => {
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: false,
+        candidates: ["1", "2"]
+      });
+    });
+
+    it("should stay in a candidate container", async () => {
+      background.browser.tabs.create.resetHistory();
+      await helper.browser.openNewTab(Object.assign({}, newTab, {cookieStoreId: "firefox-container-2"}));
+
+      background.browser.tabs.create.should.not.have.been.called;
+    });
+
+    it("should offer the candidates on the confirm page", async () => {
+      await helper.browser.openNewTab(newTab);
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "moz-extension://multi-account-containers/confirm-page.html?" +
+             `url=${encodeURIComponent(newTab.url)}` +
+             "&cookieStoreId=firefox-container-1" +
+             "&candidates=firefox-container-1,firefox-container-2" +
+             `&ruleKey=${encodeURIComponent("siteContainerMap@@_mail.example.com")}`
+      });
+    });
+  });
+
+  describe("remember the candidate picked on the confirm page", () => {
+    beforeEach(async () => {
+      background.browser._storage["siteContainerMap@@_mail.example.com"].candidates = ["1", "2"];
+      const [promise] = background.browser.runtime.onMessage.addListener.yield({
+        method: "rememberCandidateChoice",
+        pageUrl: newTab.url,
+        sourceContainerId: false,
+        userContextId: "2"
+      });
+      await promise;
+      await helper.browser.openNewTab(newTab);
+    });
+
+    it("should preselect it for the same source container", async () => {
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"].lastChoices).to.deep.equal({
+        0: "2"
+      });
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "moz-extension://multi-account-containers/confirm-page.html?" +
+             `url=${encodeURIComponent(newTab.url)}` +
+             "&cookieStoreId=firefox-container-2" +
+             "&candidates=firefox-container-1,firefox-container-2" +
+             `&ruleKey=${encodeURIComponent("siteContainerMap@@_mail.example.com")}`
+      });
+    });
+  });
+});
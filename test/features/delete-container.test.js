@@ -0,0 +1,170 @@
+describe("Delete Container Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const sendMessage = async (message) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.query.resolves([
+      {cookieStoreId: "firefox-container-1", name: "Personal"},
+      {cookieStoreId: "firefox-container-2", name: "Work"},
+      {cookieStoreId: "firefox-container-3", name: "Old Project"}
+    ]);
+    Object.assign(background.browser._storage, {
+      "siteContainerMap@@_news.example.com": {userContextId: "1", neverAsk: false},
+      "siteContainerMap@@_wiki.example.com": {userContextId: "3", neverAsk: false},
+      "siteContainerMap@@_mail.example.com": {userContextId: "3", neverAsk: false, candidates: ["3", "1"]},
+      "siteTransition@@_3@@_bank.example.com": {userContextId: "2", neverAsk: true},
+      "siteTransition@@_1@@_ci.example.com": {userContextId: "3", neverAsk: false},
+      "siteTransition@@_2@@_ci.example.com": {userContextId: "1", neverAsk: false},
+      "identitiesState@@_firefox-container-3": {hiddenTabs: []}
+    });
+  });
+
+  it("should list the rules the container is part of", async () => {
+    const rules = await sendMessage({method: "getContainerRules", userContextId: 3});
+
+    expect(rules).to.deep.equal([
+      {key: "siteContainerMap@@_mail.example.com", description: "Assignment of mail.example.com", outbound: false},
+      {key: "siteContainerMap@@_wiki.example.com", description: "Assignment of wiki.example.com", outbound: false},
+      {
+        key: "siteTransition@@_1@@_ci.example.com",
+        description: "Transition rule for ci.example.com from Personal",
+        outbound: false
+      },
+      {
+        key: "siteTransition@@_3@@_bank.example.com",
+        description: "Transition rule for bank.example.com from Old Project",
+        outbound: true
+      }
+    ]);
+  });
+
+  describe("delete it without a plan", () => {
+    beforeEach(async () => {
+      await sendMessage({method: "deleteContainer", message: {userContextId: 3}});
+    });
+
+    it("should have taken it out of its assignments once done", () => {
+      expect(background.browser._storage).to.not.have.property("siteContainerMap@@_wiki.example.com");
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: false
+      });
+    });
+  });
+
+  describe("delete it with a plan for its rules", () => {
+    let result;
+    let storageOnRemove;
+    beforeEach(async () => {
+      background.browser.contextualIdentities.remove.callsFake(async () => {
+        storageOnRemove = Object.assign({}, background.browser._storage);
+      });
+      result = await sendMessage({
+        method: "deleteContainer",
+        message: {
+          userContextId: 3,
+          plan: {
+            "siteContainerMap@@_wiki.example.com": {action: "move", userContextId: "2"},
+            "siteContainerMap@@_mail.example.com": {action: "delete"},
+            "siteTransition@@_3@@_bank.example.com": {action: "move", userContextId: "1"},
+            "siteTransition@@_1@@_ci.example.com": {action: "default"}
+          }
+        }
+      });
+    });
+
+    it("should remove the container", () => {
+      background.browser.contextualIdentities.remove.should.have.been.calledWith("firefox-container-3");
+    });
+
+    it("should carry out the plan before the container is removed", () => {
+      expect(storageOnRemove["siteContainerMap@@_wiki.example.com"].userContextId).to.equal("2");
+      expect(storageOnRemove).to.not.have.property("siteTransition@@_3@@_bank.example.com");
+    });
+
+    it("should move rules to another container", () => {
+      expect(background.browser._storage["siteContainerMap@@_wiki.example.com"].userContextId).to.equal("2");
+      expect(background.browser._storage).to.not.have.key("siteTransition@@_3@@_bank.example.com");
+      expect(background.browser._storage["siteTransition@@_1@@_bank.example.com"]).to.deep.equal({
+        userContextId: "2",
+        neverAsk: true
+      });
+    });
+
+    it("should convert rules to the default container", () => {
+      expect(background.browser._storage["siteTransition@@_1@@_ci.example.com"]).to.deep.equal({
+        userContextId: false,
+        neverAsk: false
+      });
+    });
+
+    it("should only take the container out of a rule with other candidates", () => {
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: false
+      });
+    });
+
+    it("should drop the state of its hidden tabs", () => {
+      expect(background.browser._storage).to.not.have.key("identitiesState@@_firefox-container-3");
+      expect(result.conflicts).to.deep.equal([]);
+    });
+  });
+
+  describe("delete it with a plan that can't be carried out", () => {
+    beforeEach(async () => {
+      try {
+        await sendMessage({
+          method: "deleteContainer",
+          message: {
+            userContextId: 3,
+            plan: {
+              "siteContainerMap@@_wiki.example.com": {action: "move", userContextId: "3"}
+            }
+          }
+        });
+      } catch (e) {
+        // Expected
+      }
+    });
+
+    it("should leave the container and its rules alone", () => {
+      background.browser.contextualIdentities.remove.should.not.have.been.called;
+      expect(background.browser._storage["siteContainerMap@@_wiki.example.com"].userContextId).to.equal("3");
+    });
+  });
+
+  describe("delete it with a plan converting its outbound rules to Default", () => {
+    let error;
+    beforeEach(async () => {
+      try {
+        await sendMessage({
+          method: "deleteContainer",
+          message: {
+            userContextId: 3,
+            plan: {
+              "siteTransition@@_3@@_bank.example.com": {action: "default"}
+            }
+          }
+        });
+      } catch (e) {
+        error = e;
+      }
+    });
+
+    it("should refuse it", () => {
+      expect(error).to.be.an("error");
+      background.browser.contextualIdentities.remove.should.not.have.been.called;
+      expect(background.browser._storage).to.not.have.property("siteTransition@@_0@@_bank.example.com");
+      expect(background.browser._storage["siteTransition@@_3@@_bank.example.com"].userContextId).to.equal("2");
+    });
+  });
+});
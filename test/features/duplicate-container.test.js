@@ -0,0 +1,132 @@
+describe("Duplicate Container Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const duplicate = async (copyInbound) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield({
+      method: "duplicateContainer",
+      message: {userContextId: "2", name: "Client B", copyInbound}
+    });
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.get.resolves({
+      cookieStoreId: "firefox-container-2",
+      name: "Client A",
+      color: "green",
+      icon: "briefcase"
+    });
+    background.browser.contextualIdentities.create.resolves({
+      cookieStoreId: "firefox-container-5",
+      name: "Client B",
+      color: "green",
+      icon: "briefcase"
+    });
+    background.browser.contextualIdentities.query.resolves([
+      {cookieStoreId: "firefox-container-1", name: "Personal"},
+      {cookieStoreId: "firefox-container-2", name: "Client A"},
+      {cookieStoreId: "firefox-container-5", name: "Client B"}
+    ]);
+    Object.assign(background.browser._storage, {
+      "siteContainerMap@@_crm.example.com": {userContextId: "2", neverAsk: false},
+      "siteTransition@@_2@@_bank.example.com": {userContextId: "1", neverAsk: true},
+      "siteTransition@@_2@@_default": {userContextId: "2", neverAsk: true, action: "stay"},
+      "siteTransition@@_1@@_crm.example.com": {userContextId: "2", neverAsk: false}
+    });
+  });
+
+  it("should create a container with the same color and icon", async () => {
+    await duplicate(false);
+
+    background.browser.contextualIdentities.create.should.have.been.calledWith({
+      name: "Client B",
+      color: "green",
+      icon: "briefcase"
+    });
+  });
+
+  it("should copy the transition rules from the container", async () => {
+    await duplicate(false);
+
+    expect(background.browser._storage["siteTransition@@_5@@_bank.example.com"]).to.deep.equal({
+      userContextId: "1",
+      neverAsk: true
+    });
+    expect(background.browser._storage["siteTransition@@_5@@_default"]).to.deep.equal({
+      userContextId: "5",
+      neverAsk: true,
+      action: "stay"
+    });
+  });
+
+  it("should leave the rules into the container alone by default", async () => {
+    await duplicate(false);
+
+    expect(background.browser._storage["siteContainerMap@@_crm.example.com"]).to.deep.equal({
+      userContextId: "2",
+      neverAsk: false
+    });
+    expect(background.browser._storage["siteTransition@@_1@@_crm.example.com"]).to.deep.equal({
+      userContextId: "2",
+      neverAsk: false
+    });
+  });
+
+  it("should add the copy to the rules into the container as a second candidate", async () => {
+    await duplicate(true);
+
+    expect(background.browser._storage["siteContainerMap@@_crm.example.com"]).to.deep.equal({
+      userContextId: "2",
+      neverAsk: false,
+      candidates: ["2", "5"]
+    });
+    expect(background.browser._storage["siteTransition@@_1@@_crm.example.com"]).to.deep.equal({
+      userContextId: "2",
+      neverAsk: false,
+      candidates: ["2", "5"]
+    });
+  });
+
+  describe("rules of other containers that reroute into it without asking", () => {
+    const navigate = async (url, requestId) => {
+      const [promise] = background.browser.webRequest.onBeforeRequest.addListener.yield({
+        frameId: 0,
+        tabId: activeTab.id,
+        url,
+        originUrl: activeTab.url,
+        requestId
+      });
+      return promise;
+    };
+    beforeEach(async () => {
+      Object.assign(background.browser._storage, {
+        "siteTransition@@_1@@_mail.example.com": {userContextId: "2", neverAsk: true},
+        "siteTransition@@_1@@_default": {userContextId: "2", neverAsk: true}
+      });
+      await duplicate(false);
+      background.browser.tabs.create.resetHistory();
+    });
+
+    it("should still reroute without prompting", async () => {
+      await navigate("https://mail.example.com/inbox", 1);
+      await navigate("https://wiki.example.com/start", 2);
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "https://mail.example.com/inbox",
+        cookieStoreId: "firefox-container-2"
+      });
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "https://wiki.example.com/start",
+        cookieStoreId: "firefox-container-2"
+      });
+      expect(background.browser._storage["siteTransition@@_1@@_default"]).to.deep.equal({
+        userContextId: "2",
+        neverAsk: true
+      });
+    });
+  });
+});
@@ -0,0 +1,219 @@
+describe("Exemptions Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "http://example.com",
+    index: 0
+  };
+  const newTab = {
+    id: 2,
+    cookieStoreId: "firefox-default",
+    url: "http://example.com/news",
+    index: 1,
+    active: true
+  };
+  const assignment = {
+    userContextId: "1",
+    neverAsk: false
+  };
+
+  describe("exempting a tab from the confirm page", () => {
+    beforeEach(async () => {
+      await helper.browser.initializeWithTab(activeTab);
+      background.browser._storage["siteContainerMap@@_example.com"] = assignment;
+      const [promise] = background.browser.runtime.onMessage.addListener.yield({
+        method: "exemptContainerAssignment",
+        tabId: newTab.id,
+        pageUrl: newTab.url,
+        lifetime: "hour"
+      });
+      await promise;
+      await helper.browser.openNewTab(newTab);
+    });
+
+    it("should keep the tab in its container", async () => {
+      background.browser.tabs.create.should.not.have.been.called;
+    });
+
+    it("should persist the exemption with its expiry", async () => {
+      const [exemption] = background.browser._storage.exemptedTabs["siteContainerMap@@_example.com"];
+      expect(exemption.tabId).to.equal(newTab.id);
+      expect(exemption.lifetime).to.equal("hour");
+      expect(exemption.expires).to.be.above(Date.now());
+      background.browser.sessions.setTabValue.should.have.been.calledWith(newTab.id, "exemptedTabId", newTab.id);
+    });
+  });
+
+  describe("managing exemptions", () => {
+    const sendMessage = async (message) => {
+      const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+      return promise;
+    };
+    beforeEach(async () => {
+      await helper.browser.initializeWithTab(activeTab);
+      await sendMessage({
+        method: "exemptContainerAssignment",
+        tabId: activeTab.id,
+        pageUrl: "http://example.com/login",
+        lifetime: "session"
+      });
+    });
+
+    it("should list the exemption with its site and reason", async () => {
+      const exemptions = await sendMessage({method: "getExemptions"});
+
+      expect(exemptions).to.have.lengthOf(1);
+      expect(exemptions[0]).to.include({
+        hostname: "example.com",
+        tabId: activeTab.id,
+        lifetime: "session",
+        reason: "confirm"
+      });
+    });
+
+    it("should tell the current tab it is exempt", async () => {
+      const exemption = await sendMessage({method: "getExemption", tabId: activeTab.id});
+
+      expect(exemption).to.include({hostname: "example.com", reason: "confirm"});
+    });
+
+    it("should exempt the tab the confirm page opens in the picked container", async () => {
+      background.browser.tabs.create.resolves({id: 9});
+      await sendMessage({
+        method: "openInContainer",
+        url: "http://example.com/login",
+        cookieStoreId: "firefox-container-4",
+        index: 1
+      });
+
+      background.browser.tabs.create.should.have.been.calledWith({
+        url: "http://example.com/login",
+        cookieStoreId: "firefox-container-4",
+        index: 1
+      });
+      const exemptions = await sendMessage({method: "getExemptions"});
+      expect(exemptions.find((exemption) => exemption.tabId === 9)).to.include({reason: "opened"});
+    });
+
+    it("should remove a single exemption", async () => {
+      await sendMessage({method: "removeExemption", hostname: "example.com", tabId: activeTab.id});
+
+      expect(await sendMessage({method: "getExemptions"})).to.deep.equal([]);
+      expect(background.browser._storage.exemptedTabs).to.deep.equal({});
+    });
+  });
+
+  describe("exemptions for the whole container", () => {
+    const otherTab = {
+      id: 3,
+      cookieStoreId: "firefox-container-1",
+      url: "http://example.com/news",
+      index: 2,
+      active: true
+    };
+    beforeEach(async () => {
+      await helper.browser.initializeWithTab(activeTab);
+      background.browser._storage["siteContainerMap@@_example.com"] = {
+        userContextId: "2",
+        neverAsk: false
+      };
+      const [promise] = background.browser.runtime.onMessage.addListener.yield({
+        method: "exemptContainerAssignment",
+        tabId: activeTab.id,
+        pageUrl: "http://example.com/login",
+        lifetime: "hour"
+      });
+      await promise;
+    });
+
+    it("should keep the site in the other tabs of the container", async () => {
+      await helper.browser.openNewTab(otherTab);
+
+      background.browser.tabs.create.should.not.have.been.called;
+    });
+
+    it("should outlast the tab it was made in", async () => {
+      background.browser.tabs.onRemoved.addListener.yield(activeTab.id);
+      await helper.browser.openNewTab(otherTab);
+
+      background.browser.tabs.create.should.not.have.been.called;
+      expect(background.browser._storage.exemptedTabs["siteContainerMap@@_example.com"]).to.have.lengthOf(1);
+    });
+
+    it("should leave the tabs of other containers alone", async () => {
+      await helper.browser.openNewTab(Object.assign({}, otherTab, {cookieStoreId: "firefox-container-3"}));
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "moz-extension://multi-account-containers/confirm-page.html?" +
+             `url=${encodeURIComponent(otherTab.url)}` +
+             "&cookieStoreId=firefox-container-2" +
+             "&currentCookieStoreId=firefox-container-3" +
+             `&ruleKey=${encodeURIComponent("siteContainerMap@@_example.com")}`
+      });
+    });
+  });
+
+  describe("restoring exemptions after a restart", () => {
+    const loadBackground = async (exemption, tabs = [newTab]) => {
+      await buildBackgroundDom({
+        beforeParse(window) {
+          window.browser._storage["siteContainerMap@@_example.com"] = assignment;
+          window.browser._storage.exemptedTabs = {"siteContainerMap@@_example.com": [exemption]};
+          window.browser.tabs.get.resolves(newTab);
+          window.browser.tabs.query.resolves(tabs);
+          // The tab was restored with a new id
+          window.browser.sessions.getTabValue.withArgs(newTab.id, "exemptedTabId").resolves(7);
+          window.browser.contextualIdentities.get.resolves({
+            cookieStoreId: activeTab.cookieStoreId
+          });
+        }
+      });
+      await nextTick();
+    };
+
+    it("should apply the exemption to the restored tab", async () => {
+      await loadBackground({tabId: 7, lifetime: "tab", reason: "confirm"});
+      await helper.browser.openNewTab(newTab);
+
+      background.browser.tabs.create.should.not.have.been.called;
+      expect(background.browser._storage.exemptedTabs["siteContainerMap@@_example.com"]).to.deep.equal([
+        {tabId: newTab.id, lifetime: "tab", reason: "confirm"}
+      ]);
+    });
+
+    it("should wait for tabs that session restore brings back later", async () => {
+      await loadBackground({tabId: 7, lifetime: "tab", reason: "confirm"}, []);
+      background.browser.tabs.onCreated.addListener.yield(newTab);
+      await nextTick();
+      await helper.browser.openNewTab(newTab);
+
+      background.browser.tabs.create.should.not.have.been.called;
+    });
+
+    it("should drop exemptions that expired", async () => {
+      await loadBackground({tabId: 7, lifetime: "hour", expires: Date.now() - 1});
+      await helper.browser.openNewTab(newTab);
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "moz-extension://multi-account-containers/confirm-page.html?" +
+             `url=${encodeURIComponent(newTab.url)}` +
+             `&cookieStoreId=${activeTab.cookieStoreId}` +
+             `&ruleKey=${encodeURIComponent("siteContainerMap@@_example.com")}`
+      });
+    });
+
+    it("should drop session exemptions when the browser starts", async () => {
+      await loadBackground({tabId: 7, lifetime: "session"});
+      background.browser.runtime.onStartup.addListener.yield();
+      await nextTick();
+      await helper.browser.openNewTab(newTab);
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "moz-extension://multi-account-containers/confirm-page.html?" +
+             `url=${encodeURIComponent(newTab.url)}` +
+             `&cookieStoreId=${activeTab.cookieStoreId}` +
+             `&ruleKey=${encodeURIComponent("siteContainerMap@@_example.com")}`
+      });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+describe("Logger Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const sendMessage = async (message) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+  });
+
+  it("should not keep debug lines while debug logging is off", async () => {
+    await helper.browser.openNewTab({
+      id: 2,
+      cookieStoreId: "firefox-container-1",
+      url: "https://bank.example.com",
+      index: 1
+    });
+
+    const lines = await sendMessage({method: "getLogLines", count: 100});
+    expect(lines.some((line) => line.includes("bank.example.com"))).to.be.false;
+  });
+
+  describe("with debug logging turned on", () => {
+    beforeEach(async () => {
+      await sendMessage({method: "setDebugLogging", enabled: true});
+    });
+
+    it("should persist the toggle", async () => {
+      expect(background.browser._storage.debugLogging).to.be.true;
+      expect(await sendMessage({method: "getDebugLogging"})).to.be.true;
+    });
+
+    it("should keep the lines of a navigation by category", async () => {
+      await helper.browser.openNewTab({
+        id: 2,
+        cookieStoreId: "firefox-container-1",
+        url: "https://bank.example.com",
+        index: 1
+      });
+
+      const lines = await sendMessage({method: "getLogLines", count: 100});
+      expect(lines.some((line) => {
+        return line.includes("DEBUG [assignManager] onBeforeRequest") && line.includes("bank.example.com");
+      })).to.be.true;
+    });
+
+    it("should dump only the latest lines", async () => {
+      await helper.browser.openNewTab({
+        id: 2,
+        cookieStoreId: "firefox-container-1",
+        url: "https://bank.example.com",
+        index: 1
+      });
+      const allLines = await sendMessage({method: "getLogLines", count: 100});
+
+      const lines = await sendMessage({method: "getLogLines", count: 2});
+      expect(lines).to.deep.equal(allLines.slice(-2));
+    });
+  });
+});
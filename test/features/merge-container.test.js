@@ -0,0 +1,217 @@
+describe("Merge Container Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const movedTab = {
+    id: 7,
+    cookieStoreId: "firefox-container-3",
+    url: "https://crm.example.com/deal",
+    windowId: 1,
+    index: 2,
+    active: false,
+    pinned: true
+  };
+  const sendMessage = async (message) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+    return promise;
+  };
+  const merge = (message) => sendMessage({method: "mergeContainer", message});
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.query.resolves([
+      {cookieStoreId: "firefox-container-1", name: "Personal"},
+      {cookieStoreId: "firefox-container-2", name: "Client B"},
+      {cookieStoreId: "firefox-container-3", name: "Client A"}
+    ]);
+    background.browser.tabs.query.withArgs({cookieStoreId: "firefox-container-3"}).resolves([movedTab]);
+    background.browser.tabs.create.resolves({id: 8});
+    Object.assign(background.browser._storage, {
+      "siteContainerMap@@_crm.example.com": {userContextId: "3", neverAsk: false},
+      "siteContainerMap@@_mail.example.com": {userContextId: "3", neverAsk: false, candidates: ["3", "2"]},
+      "siteTransition@@_3@@_bank.example.com": {userContextId: "1", neverAsk: true},
+      "siteTransition@@_2@@_bank.example.com": {userContextId: "2", neverAsk: true, action: "stay"},
+      "siteTransition@@_3@@_docs.example.com": {userContextId: "1", neverAsk: false},
+      "siteTransition@@_1@@_crm.example.com": {userContextId: "3", neverAsk: false},
+      "identitiesState@@_firefox-container-3": {hiddenTabs: [{url: "https://crm.example.com/report"}]},
+      "identitiesState@@_firefox-container-2": {hiddenTabs: [{url: "https://b.example.com"}]}
+    });
+  });
+
+  it("should list the rules both containers have", async () => {
+    const conflicts = await sendMessage({method: "getMergeConflicts", userContextId: "3", targetUserContextId: "2"});
+
+    expect(conflicts).to.deep.equal([{
+      key: "siteTransition@@_3@@_bank.example.com",
+      description: "Transition rule for bank.example.com from Client B",
+      source: "opens in Personal",
+      target: "stays in its container",
+      targetKey: "siteTransition@@_2@@_bank.example.com"
+    }]);
+  });
+
+  describe("an assignment the other container has a transition rule against", () => {
+    beforeEach(() => {
+      background.browser._storage["siteTransition@@_2@@_crm.example.com"] = {userContextId: "1", neverAsk: true};
+    });
+
+    it("should be listed with the rules both containers have", async () => {
+      const conflicts = await sendMessage({method: "getMergeConflicts", userContextId: "3", targetUserContextId: "2"});
+
+      expect(conflicts).to.deep.include({
+        key: "siteContainerMap@@_crm.example.com",
+        description: "Transition rule for crm.example.com from Client B",
+        source: "opens in Client B after asking",
+        target: "opens in Personal",
+        targetKey: "siteTransition@@_2@@_crm.example.com"
+      });
+    });
+
+    it("should keep the transition rule of the other container by default", async () => {
+      await merge({userContextId: "3", targetUserContextId: "2"});
+
+      expect(background.browser._storage["siteTransition@@_2@@_crm.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: true
+      });
+    });
+
+    it("should remove the transition rule when the assignment is kept", async () => {
+      await merge({userContextId: "3", targetUserContextId: "2", keepSource: ["siteContainerMap@@_crm.example.com"]});
+
+      expect(background.browser._storage).to.not.have.property("siteTransition@@_2@@_crm.example.com");
+      expect(background.browser._storage["siteContainerMap@@_crm.example.com"].userContextId).to.equal("2");
+    });
+  });
+
+  it("should not list an assignment whose site the other container keeps", async () => {
+    background.browser._storage["siteTransition@@_2@@_crm.example.com"] = {
+      userContextId: "1",
+      neverAsk: true,
+      action: "stay"
+    };
+
+    const conflicts = await sendMessage({method: "getMergeConflicts", userContextId: "3", targetUserContextId: "2"});
+
+    expect(conflicts.map((conflict) => conflict.key)).to.deep.equal(["siteTransition@@_3@@_bank.example.com"]);
+  });
+
+  it("should keep the order of its tabs among the other tabs of the window", async () => {
+    background.browser.tabs.query.withArgs({cookieStoreId: "firefox-container-3"}).resolves([
+      Object.assign({}, movedTab, {id: 9, index: 5, pinned: false}),
+      movedTab
+    ]);
+
+    await merge({userContextId: "3", targetUserContextId: "2"});
+
+    expect(background.browser.tabs.create.getCalls().map((call) => call.args[0].index)).to.deep.equal([2, 6]);
+    background.browser.tabs.create.firstCall.should.have.been.calledWithMatch({url: "https://crm.example.com/deal"});
+  });
+
+  it("should not show the hidden tabs of the other container for the tabs it opens", async () => {
+    background.browser.tabs.create.callsFake(async (options) => {
+      background.browser.tabs.onCreated.addListener.yield({
+        id: 8,
+        cookieStoreId: options.cookieStoreId,
+        url: options.url || "about:blank"
+      });
+      return {id: 8};
+    });
+
+    await merge({userContextId: "3", targetUserContextId: "2"});
+    await nextTick();
+
+    background.browser.tabs.create.should.not.have.been.calledWithMatch({url: "https://b.example.com"});
+    expect(background.browser._storage["identitiesState@@_firefox-container-2"].hiddenTabs).to.have.lengthOf(2);
+  });
+
+  describe("merge it into another container", () => {
+    let result;
+    beforeEach(async () => {
+      result = await merge({userContextId: "3", targetUserContextId: "2"});
+    });
+
+    it("should reopen its tabs in the other container", () => {
+      background.browser.tabs.create.should.have.been.calledWith({
+        url: "https://crm.example.com/deal",
+        cookieStoreId: "firefox-container-2",
+        windowId: 1,
+        index: 2,
+        active: false,
+        pinned: true
+      });
+      background.browser.tabs.remove.should.have.been.calledWith([7]);
+    });
+
+    it("should move its hidden tabs to the other container", () => {
+      expect(background.browser._storage["identitiesState@@_firefox-container-2"]).to.deep.equal({
+        hiddenTabs: [{url: "https://b.example.com"}, {url: "https://crm.example.com/report"}]
+      });
+      expect(background.browser._storage).to.not.have.property("identitiesState@@_firefox-container-3");
+    });
+
+    it("should point its rules at the other container", () => {
+      expect(background.browser._storage["siteContainerMap@@_crm.example.com"]).to.deep.equal({
+        userContextId: "2",
+        neverAsk: false
+      });
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"]).to.deep.equal({
+        userContextId: "2",
+        neverAsk: false
+      });
+      expect(background.browser._storage["siteTransition@@_2@@_docs.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: false
+      });
+      expect(background.browser._storage["siteTransition@@_1@@_crm.example.com"]).to.deep.equal({
+        userContextId: "2",
+        neverAsk: false
+      });
+      expect(background.browser._storage).to.not.have.property("siteTransition@@_3@@_docs.example.com");
+    });
+
+    it("should keep the rule of the other container by default", () => {
+      expect(background.browser._storage["siteTransition@@_2@@_bank.example.com"]).to.deep.equal({
+        userContextId: "2",
+        neverAsk: true,
+        action: "stay"
+      });
+      expect(background.browser._storage).to.not.have.property("siteTransition@@_3@@_bank.example.com");
+      expect(result.conflicts).to.deep.equal(["Transition rule for bank.example.com from container 3"]);
+    });
+
+    it("should remove the container", () => {
+      background.browser.contextualIdentities.remove.should.have.been.calledWith("firefox-container-3");
+    });
+  });
+
+  it("should keep the rule of the merged container when chosen", async () => {
+    const result = await merge({
+      userContextId: "3",
+      targetUserContextId: "2",
+      keepSource: ["siteTransition@@_3@@_bank.example.com"]
+    });
+
+    expect(background.browser._storage["siteTransition@@_2@@_bank.example.com"]).to.deep.equal({
+      userContextId: "1",
+      neverAsk: true
+    });
+    expect(result.conflicts).to.deep.equal([]);
+  });
+
+  it("should refuse to merge into a container that doesn't exist", async () => {
+    let error;
+    try {
+      await merge({userContextId: "3", targetUserContextId: "9"});
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an("error");
+    background.browser.tabs.create.should.not.have.been.called;
+    background.browser.contextualIdentities.remove.should.not.have.been.called;
+    expect(background.browser._storage["siteContainerMap@@_crm.example.com"].userContextId).to.equal("3");
+  });
+});
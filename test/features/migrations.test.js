@@ -0,0 +1,72 @@
+describe("Migrations Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const install = async () => {
+    const [promise] = background.browser.runtime.onInstalled.addListener.yield({reason: "update"});
+    await promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser._storage["siteContainerMap@@_mail.example.com"] = {
+      userContextId: 2,
+      neverAsk: true,
+      hostname: "mail.example.com",
+      candidates: [2, "3"],
+      lastChoices: {0: 3}
+    };
+    background.browser._storage["siteTransition@@_1@@_bank.example.com"] = {
+      userContextId: 0,
+      neverAsk: false
+    };
+    background.browser._storage["siteUrlRule@@_prefix@@_example.com/a"] = {
+      type: "prefix",
+      pattern: "example.com/a",
+      userContextId: "4",
+      neverAsk: false
+    };
+    background.browser._storage["identitiesState@@_firefox-container-2"] = {};
+  });
+
+  describe("update from before the schema version", () => {
+    beforeEach(async () => {
+      await install();
+    });
+
+    it("should normalize the records", () => {
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"]).to.deep.equal({
+        userContextId: "2",
+        neverAsk: true,
+        candidates: ["2", "3"],
+        lastChoices: {0: "3"}
+      });
+      expect(background.browser._storage["siteTransition@@_1@@_bank.example.com"].userContextId).to.be.false;
+      expect(background.browser._storage["identitiesState@@_firefox-container-2"]).to.deep.equal({hiddenTabs: []});
+    });
+
+    it("should leave records that are fine alone", () => {
+      const rewritten = background.browser.storage.local.set.getCalls().some((call) => {
+        return "siteUrlRule@@_prefix@@_example.com/a" in call.args[0];
+      });
+      expect(rewritten).to.be.false;
+    });
+
+    it("should store the schema version", () => {
+      expect(background.browser._storage.schemaVersion).to.equal(1);
+    });
+  });
+
+  describe("update with the current schema version", () => {
+    beforeEach(async () => {
+      background.browser._storage.schemaVersion = 1;
+      await install();
+    });
+
+    it("should not run the migrations again", () => {
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"].userContextId).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+describe("Orphaned Data Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const sendMessage = async (message) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.query.resolves([
+      {cookieStoreId: "firefox-container-1", name: "Personal"},
+      {cookieStoreId: "firefox-container-2", name: "Work"}
+    ]);
+    Object.assign(background.browser._storage, {
+      "siteContainerMap@@_news.example.com": {userContextId: "1", neverAsk: false},
+      "siteContainerMap@@_mail.example.com": {userContextId: "1", neverAsk: false, candidates: ["1", "9"]},
+      "siteTransition@@_9@@_bank.example.com": {userContextId: "2", neverAsk: true},
+      "siteTransition@@_2@@_bank.example.com": {userContextId: "1", neverAsk: true},
+      "siteTransition@@_1@@_shop.example.com": {userContextId: "9", neverAsk: false},
+      "identitiesState@@_firefox-container-9": {hiddenTabs: [{url: "https://a.example.com"}]},
+      "identitiesState@@_firefox-container-2": {hiddenTabs: [{url: "https://b.example.com"}]}
+    });
+  });
+
+  it("should find the rules and states of missing containers", async () => {
+    const found = await sendMessage({method: "getOrphans"});
+
+    expect(found.map((orphan) => orphan.key).sort()).to.deep.equal([
+      "identitiesState@@_firefox-container-9",
+      "siteContainerMap@@_mail.example.com",
+      "siteTransition@@_1@@_shop.example.com",
+      "siteTransition@@_9@@_bank.example.com"
+    ]);
+    found.forEach((orphan) => expect(orphan.missing).to.deep.equal(["9"]));
+  });
+
+  describe("delete them", () => {
+    beforeEach(async () => {
+      const found = await sendMessage({method: "getOrphans"});
+      await sendMessage({method: "resolveOrphans", keys: found.map((orphan) => orphan.key)});
+    });
+
+    it("should remove the rules left without a container", () => {
+      expect(background.browser._storage).to.not.have.any.keys(
+        "siteTransition@@_9@@_bank.example.com",
+        "siteTransition@@_1@@_shop.example.com",
+        "identitiesState@@_firefox-container-9"
+      );
+    });
+
+    it("should only drop the missing candidate of a rule with others", () => {
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: false
+      });
+    });
+  });
+
+  describe("move them to another container", () => {
+    let result;
+    beforeEach(async () => {
+      result = await sendMessage({
+        method: "resolveOrphans",
+        keys: ["siteTransition@@_9@@_bank.example.com", "siteTransition@@_1@@_shop.example.com", "identitiesState@@_firefox-container-9"],
+        userContextId: "2"
+      });
+    });
+
+    it("should point the rules to that container", () => {
+      expect(background.browser._storage["siteTransition@@_1@@_shop.example.com"].userContextId).to.equal("2");
+    });
+
+    it("should keep the rule the container already has", () => {
+      expect(background.browser._storage["siteTransition@@_2@@_bank.example.com"].userContextId).to.equal("1");
+      expect(background.browser._storage).to.not.have.key("siteTransition@@_9@@_bank.example.com");
+      expect(result.conflicts).to.deep.equal(["Transition rule for bank.example.com from container 9"]);
+    });
+
+    it("should add the hidden tabs to those of that container", () => {
+      expect(background.browser._storage["identitiesState@@_firefox-container-2"].hiddenTabs).to.have.lengthOf(2);
+    });
+
+    it("should leave the other orphans", () => {
+      expect(result.orphans.map((orphan) => orphan.key)).to.deep.equal(["siteContainerMap@@_mail.example.com"]);
+    });
+  });
+});
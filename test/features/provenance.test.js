@@ -0,0 +1,73 @@
+describe("Tab Provenance Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const sendMessage = async (message) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.query.resolves([
+      {cookieStoreId: "firefox-container-1", name: "Work"},
+      {cookieStoreId: "firefox-container-2", name: "Banking"}
+    ]);
+    background.browser._storage["siteContainerMap@@_bank.example.com"] = {
+      userContextId: "2",
+      neverAsk: true
+    };
+    background.browser.tabs.create.resolves({id: 3});
+    await helper.browser.openNewTab({
+      id: 2,
+      cookieStoreId: "firefox-container-1",
+      url: "https://bank.example.com",
+      index: 1,
+      openerTabId: 1
+    });
+    await nextTick();
+  });
+
+  it("should record how a tab reopened by a rule got to its container", async () => {
+    const provenance = await sendMessage({method: "getProvenance", tabId: 3});
+
+    expect(provenance).to.deep.include({
+      // The tab the link was opened from, as the new tab got replaced
+      openerTabId: 1,
+      sourceContainerId: "1",
+      url: "https://bank.example.com",
+      rule: {type: "assignment", storeKey: "siteContainerMap@@_bank.example.com"},
+      description: "Assignment of bank.example.com"
+    });
+    background.browser.sessions.setTabValue.should.have.been.calledWith(3, "provenance");
+  });
+
+  it("should have no provenance for other tabs", async () => {
+    expect(await sendMessage({method: "getProvenance", tabId: 1})).to.be.null;
+  });
+
+  it("should reopen the tab in its source container and exempt it on undo", async () => {
+    background.browser.tabs.get.resolves({
+      id: 3,
+      cookieStoreId: "firefox-container-2",
+      url: "https://bank.example.com/login",
+      index: 2,
+      active: true
+    });
+    background.browser.tabs.create.resolves({id: 4});
+    await sendMessage({method: "undoProvenance", tabId: 3});
+
+    background.browser.tabs.create.should.have.been.calledWith({
+      url: "https://bank.example.com/login",
+      cookieStoreId: "firefox-container-1",
+      index: 2,
+      active: true
+    });
+    background.browser.tabs.remove.should.have.been.calledWith(3);
+    background.browser.tabs.get.resolves({id: 4, url: "https://bank.example.com/login"});
+    const exemption = await sendMessage({method: "getExemption", tabId: 4});
+    expect(exemption).to.deep.include({tabId: 4, reason: "undone"});
+  });
+});
@@ -0,0 +1,74 @@
+describe("Reroute Toast Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const sendMessage = async (message) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.get.resolves({
+      cookieStoreId: "firefox-container-2",
+      name: "Personal"
+    });
+    background.browser._storage["siteTransition@@_1@@_video.example.com"] = {
+      userContextId: "2",
+      neverAsk: true
+    };
+    background.browser.tabs.create.resolves({id: 3, cookieStoreId: "firefox-container-2"});
+    background.browser.tabs.get.resolves({
+      id: 2,
+      cookieStoreId: "firefox-container-1",
+      url: "https://video.example.com",
+      index: 1,
+      openerTabId: 1
+    });
+    const [promise] = background.browser.webRequest.onBeforeRequest.addListener.yield({
+      frameId: 0,
+      tabId: 2,
+      url: "https://video.example.com",
+      originUrl: "https://news.example.com",
+      requestId: 1
+    });
+    await promise;
+    await nextTick();
+  });
+
+  it("should show a toast with undo and edit buttons once the page loaded", async () => {
+    background.browser.tabs.sendMessage.should.not.have.been.called;
+    background.browser.tabs.onUpdated.addListener.yield(3, {status: "complete"});
+
+    background.browser.tabs.sendMessage.should.have.been.calledWith(3, {
+      text: "Opened in Personal by a rule",
+      actions: [
+        {label: "Undo", message: {method: "undoProvenance", tabId: 3}},
+        {label: "Edit rule", message: {method: "editRule", tabId: 3}}
+      ]
+    });
+  });
+
+  it("should open the popup on the transition rule to edit", async () => {
+    await sendMessage({method: "editRule", tabId: 3});
+
+    background.browser.browserAction.openPopup.should.have.been.called;
+    expect(await sendMessage({method: "takePendingPanel", tabId: 3})).to.deep.equal({
+      tabId: 3,
+      sourceContainerId: "1",
+      ruleType: "transition"
+    });
+    expect(await sendMessage({method: "takePendingPanel", tabId: 3})).to.be.null;
+  });
+
+  it("should tell how to edit the rule when the popup can't be opened", async () => {
+    background.browser.browserAction.openPopup.rejects(new Error("No user action"));
+    await sendMessage({method: "editRule", tabId: 3});
+
+    background.browser.tabs.sendMessage.should.have.been.calledWith(3, {
+      text: "Open the Containers with Transitions menu to edit the rule"
+    });
+  });
+});
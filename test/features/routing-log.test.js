@@ -0,0 +1,87 @@
+describe("Routing Log Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const getLog = async () => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield({
+      method: "getRoutingLog"
+    });
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser._storage["siteContainerMap@@_bank.example.com"] = {
+      userContextId: "2",
+      neverAsk: false
+    };
+  });
+
+  it("should record a navigation that opens the confirm page", async () => {
+    await helper.browser.openNewTab({
+      id: 2,
+      cookieStoreId: "firefox-container-1",
+      url: "https://bank.example.com",
+      index: 1
+    });
+
+    const log = await getLog();
+    expect(log).to.have.lengthOf(1);
+    expect(log[0]).to.deep.include({
+      tabId: 2,
+      sourceContainerId: "1",
+      url: "https://bank.example.com",
+      rule: {type: "assignment", storeKey: "siteContainerMap@@_bank.example.com"},
+      outcome: "confirm",
+      targetContainerId: "2"
+    });
+    expect(log[0].time).to.be.a("number");
+  });
+
+  it("should record the exemptions and navigations without a rule", async () => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield({
+      method: "exemptContainerAssignment",
+      pageUrl: "https://bank.example.com",
+      tabId: 2
+    });
+    await promise;
+    await helper.browser.openNewTab({
+      id: 2,
+      cookieStoreId: "firefox-container-1",
+      url: "https://bank.example.com",
+      index: 1
+    });
+    await helper.browser.openNewTab({
+      id: 3,
+      cookieStoreId: "firefox-container-1",
+      url: "https://shop.example.com",
+      index: 2
+    });
+
+    const log = await getLog();
+    expect(log.map((entry) => [entry.rule.type, entry.outcome])).to.deep.equal([
+      ["exemption", "none"],
+      ["fallback", "none"]
+    ]);
+  });
+
+  it("should persist the log and clear it", async () => {
+    await helper.browser.openNewTab({
+      id: 3,
+      cookieStoreId: "firefox-container-1",
+      url: "https://shop.example.com",
+      index: 2
+    });
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    expect(background.browser._storage.routingLog).to.have.lengthOf(1);
+
+    const [promise] = background.browser.runtime.onMessage.addListener.yield({
+      method: "clearRoutingLog"
+    });
+    await promise;
+    expect(await getLog()).to.deep.equal([]);
+    expect(background.browser._storage.routingLog).to.deep.equal([]);
+  });
+});
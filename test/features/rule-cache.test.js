@@ -0,0 +1,85 @@
+describe("Rule Cache Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const newTab = {
+    id: 2,
+    cookieStoreId: "firefox-default",
+    url: "https://bank.example.com",
+    index: 1,
+    active: true
+  };
+  const request = () => {
+    const [response] = background.browser.webRequest.onBeforeRequest.addListener.yield({
+      frameId: 0,
+      tabId: newTab.id,
+      url: newTab.url,
+      cookieStoreId: newTab.cookieStoreId,
+      incognito: false
+    });
+    return response;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.storage.local.get.resetHistory();
+    background.browser.tabs.get.resetHistory();
+  });
+
+  it("should let a request without a rule through without waiting", () => {
+    const response = request();
+
+    expect(response).to.deep.equal({});
+    background.browser.storage.local.get.should.not.have.been.called;
+    background.browser.tabs.get.should.not.have.been.called;
+  });
+
+  it("should pick up an assignment written to storage", async () => {
+    background.browser._storage["siteContainerMap@@_bank.example.com"] = {
+      userContextId: "2",
+      neverAsk: false
+    };
+
+    await request();
+
+    background.browser.tabs.create.should.have.been.calledWithMatch({
+      url: sinon.match("confirm-page.html")
+    });
+    background.browser.storage.local.get.should.not.have.been.calledWith();
+  });
+
+  it("should forget an assignment removed from storage", async () => {
+    background.browser._storage["siteContainerMap@@_bank.example.com"] = {
+      userContextId: "2",
+      neverAsk: false
+    };
+    delete background.browser._storage["siteContainerMap@@_bank.example.com"];
+
+    expect(request()).to.deep.equal({});
+    background.browser.tabs.create.should.not.have.been.called;
+  });
+
+  it("should list the rules of a container", async () => {
+    background.browser._storage["siteContainerMap@@_bank.example.com"] = {
+      userContextId: "1",
+      neverAsk: false,
+      candidates: ["1", "2"]
+    };
+    background.browser._storage["siteTransition@@_0@@_mail.example.com"] = {
+      userContextId: "2",
+      neverAsk: true
+    };
+
+    const [promise] = background.browser.runtime.onMessage.addListener.yield({
+      method: "getAssignmentObjectByContainer",
+      message: {userContextId: "2"}
+    });
+    const sites = await promise;
+    expect(Object.keys(sites).sort()).to.deep.equal([
+      "siteContainerMap@@_bank.example.com",
+      "siteTransition@@_0@@_mail.example.com"
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+describe("Routing Simulator Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://news.example.com",
+    index: 0
+  };
+  const simulate = async (cookieStoreId, url, originUrl, tabId) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield({
+      method: "simulateNavigation",
+      cookieStoreId,
+      url,
+      originUrl,
+      tabId
+    });
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.query.resolves([
+      {cookieStoreId: "firefox-container-1", name: "Work"},
+      {cookieStoreId: "firefox-container-2", name: "Banking"}
+    ]);
+    background.browser._storage["siteContainerMap@@_bank.example.com"] = {
+      userContextId: "2",
+      neverAsk: false
+    };
+    background.browser._storage["siteTransition@@_1@@_video.example.com"] = {
+      userContextId: "2",
+      neverAsk: true
+    };
+  });
+
+  it("should open a typed URL in the assigned container and ask first", async () => {
+    const result = await simulate("firefox-container-1", "https://bank.example.com/login");
+
+    expect(result).to.deep.include({
+      action: "open",
+      userContextId: "2",
+      prompt: true,
+      candidates: null
+    });
+    expect(result.rule).to.deep.equal({
+      type: "assignment",
+      storeKey: "siteContainerMap@@_bank.example.com",
+      description: "Assignment of bank.example.com"
+    });
+    background.browser.tabs.create.should.not.have.been.called;
+  });
+
+  it("should use the transition rule for links", async () => {
+    const result = await simulate("firefox-container-1", "https://video.example.com", "https://news.example.com");
+
+    expect(result).to.deep.include({
+      action: "open",
+      userContextId: "2",
+      prompt: false
+    });
+    expect(result.rule.description).to.equal("Transition rule for video.example.com from Work");
+  });
+
+  it("should keep links within a site in their container", async () => {
+    const result = await simulate("firefox-container-1", "https://video.example.com/watch", "https://video.example.com");
+
+    expect(result.action).to.equal("stay");
+    expect(result.userContextId).to.equal("1");
+    expect(result.reason).to.equal("Links within a site never change container");
+  });
+
+  it("should fall back to the source container without a rule", async () => {
+    const result = await simulate("firefox-container-1", "https://shop.example.com", "https://news.example.com");
+
+    expect(result.action).to.equal("stay");
+    expect(result.rule.type).to.equal("fallback");
+    expect(result.reason).to.equal("No transition rule matches links from this container, so they stay in it");
+  });
+
+  it("should take the exemptions of the tab into account", async () => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield({
+      method: "exemptContainerAssignment",
+      pageUrl: "https://bank.example.com",
+      tabId: 1
+    });
+    await promise;
+
+    const result = await simulate("firefox-container-1", "https://bank.example.com", null, 1);
+
+    expect(result.action).to.equal("stay");
+    expect(result.reason).to.equal("The tab is exempted from the rules for this site");
+  });
+});
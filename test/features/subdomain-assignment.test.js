@@ -0,0 +1,93 @@
+describe("Subdomain Assignment Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "http://mail.example.com",
+    index: 0
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+  });
+
+  describe("assign the site including its subdomains", () => {
+    beforeEach(async () => {
+      popup.document.getElementById("container-page-assigned-scope").value = "subdomains";
+      await helper.popup.clickElementById("container-page-assigned");
+    });
+
+    it("should open the confirm page for a subdomain", async () => {
+      const newTab = {
+        id: 2,
+        cookieStoreId: "firefox-default",
+        url: "http://accounts.mail.example.com",
+        index: 1,
+        active: true
+      };
+      await helper.browser.openNewTab(newTab);
+
+      background.browser.tabs.create.should.have.been.calledWith({
+        url: "moz-extension://multi-account-containers/confirm-page.html?" +
+             `url=${encodeURIComponent(newTab.url)}` +
+             `&cookieStoreId=${activeTab.cookieStoreId}` +
+             `&ruleKey=${encodeURIComponent("siteContainerMap@@_mail.example.com")}`,
+        cookieStoreId: undefined,
+        openerTabId: null,
+        index: 2,
+        active: true
+      });
+    });
+
+    it("should not open the confirm page for a sibling domain", async () => {
+      const newTab = {
+        id: 2,
+        cookieStoreId: "firefox-default",
+        url: "http://accounts.example.com",
+        index: 1,
+        active: true
+      };
+      await helper.browser.openNewTab(newTab);
+
+      background.browser.tabs.create.should.not.have.been.called;
+    });
+  });
+
+  describe("assign the wildcard pattern", () => {
+    beforeEach(async () => {
+      popup.document.getElementById("container-page-assigned-scope").value = "wildcard";
+      await helper.popup.clickElementById("container-page-assigned");
+    });
+
+    it("should store the assignment under *.example.com", async () => {
+      expect(background.browser._storage["siteContainerMap@@_*.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: false
+      });
+    });
+
+    it("should prefer a more specific assignment", async () => {
+      background.browser._storage["siteContainerMap@@_accounts.example.com"] = {
+        userContextId: "2",
+        neverAsk: false
+      };
+      const newTab = {
+        id: 2,
+        cookieStoreId: "firefox-default",
+        url: "http://accounts.example.com",
+        index: 1,
+        active: true
+      };
+      await helper.browser.openNewTab(newTab);
+
+      background.browser.tabs.create.should.have.been.calledWith({
+        url: "moz-extension://multi-account-containers/confirm-page.html?" +
+             `url=${encodeURIComponent(newTab.url)}` +
+             "&cookieStoreId=firefox-container-2" +
+             `&ruleKey=${encodeURIComponent("siteContainerMap@@_accounts.example.com")}`,
+        cookieStoreId: undefined,
+        openerTabId: null,
+        index: 2,
+        active: true
+      });
+    });
+  });
+});
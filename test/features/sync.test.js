@@ -0,0 +1,204 @@
+describe("Sync Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-default",
+    url: "https://example.com",
+    index: 0
+  };
+  const sendMessage = async (message) => {
+    const [promise] = background.browser.runtime.onMessage.addListener.yield(message);
+    return promise;
+  };
+  const chunkKey = (i) => `syncChunk@@_${background.browser._syncStorage.syncMeta.generation}@@_${i}`;
+  const readRemote = () => {
+    const storage = background.browser._syncStorage;
+    let text = "";
+    for (let i = 0; i < storage.syncMeta.chunks; i++) {
+      text += storage[chunkKey(i)];
+    }
+    return JSON.parse(text);
+  };
+
+  describe("enabling sync", () => {
+    beforeEach(async () => {
+      await helper.browser.initializeWithTab(activeTab);
+      background.browser.contextualIdentities.query.resolves([
+        {cookieStoreId: "firefox-container-1", name: "Work", color: "blue", icon: "briefcase"},
+        {cookieStoreId: "firefox-container-4", name: "Temporary 1", color: "red", icon: "circle"}
+      ]);
+      background.browser._storage.temporaryContainers = ["firefox-container-4"];
+      background.browser._storage["siteContainerMap@@_mail.example.com"] = {
+        userContextId: "1",
+        neverAsk: false
+      };
+      background.browser._storage["siteContainerMap@@_scratch.example.com"] = {
+        userContextId: "4",
+        neverAsk: false
+      };
+      background.browser._storage["siteTransition@@_1@@_news.example.com"] = {
+        userContextId: false,
+        neverAsk: true
+      };
+    });
+
+    it("should upload the containers and rules by sync id", async () => {
+      const status = await sendMessage({method: "setSyncEnabled", enabled: true});
+
+      expect(status.enabled).to.be.true;
+      expect(status.error).to.be.null;
+      const remote = readRemote();
+      const syncIds = Object.keys(remote.containers);
+      expect(syncIds).to.have.lengthOf(1);
+      const syncId = syncIds[0];
+      expect(remote.containers[syncId].value).to.deep.equal({name: "Work", color: "blue", icon: "briefcase"});
+      expect(background.browser._storage.syncIds).to.deep.equal({"firefox-container-1": syncId});
+      expect(Object.keys(remote.rules).sort()).to.deep.equal([
+        "siteContainerMap@@_mail.example.com",
+        `siteTransition@@_${syncId}@@_news.example.com`
+      ]);
+      expect(remote.rules["siteContainerMap@@_mail.example.com"].value.userContextId).to.equal(syncId);
+    });
+
+    it("should split large rule sets into chunks that fit in sync items", async () => {
+      for (let i = 0; i < 300; i++) {
+        background.browser._storage[`siteContainerMap@@_site${i}.example.com`] = {
+          userContextId: "1",
+          neverAsk: false
+        };
+      }
+      await sendMessage({method: "setSyncEnabled", enabled: true});
+
+      const storage = background.browser._syncStorage;
+      expect(storage.syncMeta.chunks).to.be.above(1);
+      for (let i = 0; i < storage.syncMeta.chunks; i++) {
+        expect(JSON.stringify(storage[chunkKey(i)]).length).to.be.at.most(8000);
+      }
+      expect(Object.keys(readRemote().rules)).to.have.lengthOf(302);
+    });
+
+    it("should measure the quota on the encoded chunks", async () => {
+      for (let i = 0; i < 600; i++) {
+        background.browser._storage[`siteContainerMap@@_site${i}.example.com`] = {
+          userContextId: "1",
+          neverAsk: false
+        };
+      }
+      const status = await sendMessage({method: "setSyncEnabled", enabled: true});
+
+      expect(status.error).to.equal("The rules are too large for Firefox Sync");
+      expect(background.browser._syncStorage).to.not.have.property("syncMeta");
+    });
+
+    it("should replace the chunks of the previous write", async () => {
+      await sendMessage({method: "setSyncEnabled", enabled: true});
+      const previous = background.browser._syncStorage.syncMeta;
+      background.browser._storage["siteContainerMap@@_docs.example.com"] = {
+        userContextId: "1",
+        neverAsk: false
+      };
+      await sendMessage({method: "syncNow"});
+
+      expect(background.browser._syncStorage.syncMeta.generation).to.not.equal(previous.generation);
+      expect(background.browser._syncStorage).to.not.have.property(`syncChunk@@_${previous.generation}@@_0`);
+      expect(readRemote().rules).to.have.property("siteContainerMap@@_docs.example.com");
+    });
+
+    it("should leave the synced data alone when a write fails", async () => {
+      await sendMessage({method: "setSyncEnabled", enabled: true});
+      const rules = readRemote().rules;
+      background.browser.storage.sync.set = sinon.stub().rejects(new Error("Quota exceeded"));
+      background.browser._storage["siteContainerMap@@_docs.example.com"] = {
+        userContextId: "1",
+        neverAsk: false
+      };
+      const status = await sendMessage({method: "syncNow"});
+
+      expect(status.error).to.equal("Quota exceeded");
+      expect(readRemote().rules).to.deep.equal(rules);
+    });
+
+    it("should keep syncing after a sync failed outright", async () => {
+      await sendMessage({method: "setSyncEnabled", enabled: true});
+      const get = background.browser.storage.local.get;
+      background.browser.storage.local.get = sinon.stub().callsFake(get);
+      background.browser.storage.local.get.withArgs(["syncEnabled"]).rejects(new Error("Storage unavailable"));
+      let error;
+      try {
+        await sendMessage({method: "syncNow"});
+      } catch (e) {
+        error = e;
+      }
+      background.browser.storage.local.get = get;
+      background.browser._storage["siteContainerMap@@_docs.example.com"] = {
+        userContextId: "1",
+        neverAsk: false
+      };
+      await sendMessage({method: "syncNow"});
+
+      expect(error.message).to.equal("Storage unavailable");
+      expect(readRemote().rules).to.have.property("siteContainerMap@@_docs.example.com");
+    });
+
+    it("should write incomplete synced data again and say so", async () => {
+      background.browser._syncStorage.syncMeta = {
+        generation: "lost",
+        chunks: 2,
+        hash: "abc",
+        written: Date.now() - 60 * 60 * 1000
+      };
+      const status = await sendMessage({method: "setSyncEnabled", enabled: true});
+
+      expect(status.error).to.equal("The synced data was incomplete and has been written again from this device");
+      expect(readRemote().rules).to.have.property("siteContainerMap@@_mail.example.com");
+    });
+  });
+
+  describe("a second device", () => {
+    let remoteStorage;
+    beforeEach(async () => {
+      await helper.browser.initializeWithTab(activeTab);
+      background.browser.contextualIdentities.query.resolves([
+        {cookieStoreId: "firefox-container-1", name: "Work", color: "blue", icon: "briefcase"},
+        {cookieStoreId: "firefox-container-2", name: "Shopping", color: "pink", icon: "cart"}
+      ]);
+      background.browser._storage["siteContainerMap@@_shop.example.com"] = {
+        userContextId: "2",
+        neverAsk: false
+      };
+      await sendMessage({method: "setSyncEnabled", enabled: true});
+      remoteStorage = Object.assign({}, background.browser._syncStorage);
+
+      await helper.browser.initializeWithTab(activeTab);
+      Object.assign(background.browser._syncStorage, remoteStorage);
+      background.browser.contextualIdentities.query.resolves([
+        {cookieStoreId: "firefox-container-1", name: "Personal", color: "red", icon: "fingerprint"},
+        {cookieStoreId: "firefox-container-3", name: "Work", color: "blue", icon: "briefcase"}
+      ]);
+      background.browser.contextualIdentities.create.resolves({cookieStoreId: "firefox-container-6"});
+      background.browser._storage["siteContainerMap@@_mail.example.com"] = {
+        userContextId: "1",
+        neverAsk: false
+      };
+    });
+
+    it("should reuse containers with the same name and create the missing ones", async () => {
+      await sendMessage({method: "setSyncEnabled", enabled: true});
+
+      background.browser.contextualIdentities.create.should.have.been.calledOnce;
+      background.browser.contextualIdentities.create.should.have.been.calledWith({
+        name: "Shopping",
+        color: "pink",
+        icon: "cart"
+      });
+      expect(background.browser._storage["siteContainerMap@@_shop.example.com"]).to.deep.equal({
+        userContextId: "6",
+        neverAsk: false
+      });
+      expect(readRemote().rules).to.have.all.keys(
+        "siteContainerMap@@_shop.example.com",
+        "siteContainerMap@@_mail.example.com"
+      );
+      expect(Object.keys(readRemote().containers)).to.have.lengthOf(3);
+    });
+  });
+});
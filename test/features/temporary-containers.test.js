@@ -0,0 +1,122 @@
+describe("Temporary Containers Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-default",
+    url: "https://news.example.com",
+    index: 0,
+    active: true
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser.contextualIdentities.create.resolves({
+      cookieStoreId: "firefox-container-9",
+      name: "Temporary 1"
+    });
+  });
+
+  describe("an assignment to a new temporary container", () => {
+    beforeEach(async () => {
+      background.browser._storage["siteContainerMap@@_shop.example.com"] = {
+        userContextId: "temporary",
+        neverAsk: true
+      };
+      await helper.browser.openNewTab({
+        id: 2,
+        cookieStoreId: "firefox-default",
+        url: "https://shop.example.com",
+        index: 1,
+        active: true
+      });
+      await nextTick();
+    });
+
+    it("should create a container and open the page in it", async () => {
+      background.browser.contextualIdentities.create.should.have.been.calledWithMatch({
+        name: "Temporary 1"
+      });
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "https://shop.example.com",
+        cookieStoreId: "firefox-container-9"
+      });
+      expect(background.browser._storage.temporaryContainers).to.deep.equal(["firefox-container-9"]);
+    });
+
+    it("should not drop the assignment as pointing to a missing container", async () => {
+      expect(background.browser._storage["siteContainerMap@@_shop.example.com"]).to.deep.equal({
+        userContextId: "temporary",
+        neverAsk: true
+      });
+    });
+  });
+
+  describe("two temporary containers created together", () => {
+    beforeEach(async () => {
+      background.browser.contextualIdentities.create.onSecondCall().resolves({
+        cookieStoreId: "firefox-container-10",
+        name: "Temporary 2"
+      });
+      background.browser._storage["siteContainerMap@@_shop.example.com"] = {
+        userContextId: "temporary",
+        neverAsk: true
+      };
+      background.browser._storage["siteContainerMap@@_games.example.com"] = {
+        userContextId: "temporary",
+        neverAsk: true
+      };
+      await Promise.all([
+        helper.browser.openNewTab({
+          id: 2,
+          cookieStoreId: "firefox-default",
+          url: "https://shop.example.com",
+          index: 1,
+          active: true
+        }, {requestId: 1}),
+        helper.browser.openNewTab({
+          id: 3,
+          cookieStoreId: "firefox-default",
+          url: "https://games.example.com",
+          index: 2,
+          active: true
+        }, {requestId: 2})
+      ]);
+      await nextTick();
+    });
+
+    it("should remember both of them", async () => {
+      background.browser.contextualIdentities.create.should.have.been.calledTwice;
+      expect(background.browser._storage.temporaryContainers).to.have.members([
+        "firefox-container-9",
+        "firefox-container-10"
+      ]);
+    });
+  });
+
+  describe("closing the last tab of a temporary container", () => {
+    beforeEach(async () => {
+      background.browser._storage.temporaryContainers = ["firefox-container-9"];
+      background.browser.tabs.query.resolves([{id: 5, cookieStoreId: "firefox-container-9"}]);
+      background.browser.tabs.onRemoved.addListener.yield(5, {});
+      await nextTick();
+    });
+
+    it("should remove the container", async () => {
+      background.browser.contextualIdentities.remove.should.have.been.calledWith("firefox-container-9");
+      expect(background.browser._storage.temporaryContainers).to.deep.equal([]);
+    });
+  });
+
+  describe("starting the browser", () => {
+    beforeEach(async () => {
+      background.browser._storage.temporaryContainers = ["firefox-container-9"];
+      background.browser.tabs.query.resolves([]);
+      background.browser.runtime.onStartup.addListener.yield();
+      background.browser.tabs.onRemoved.addListener.yield(5, {});
+      await nextTick();
+    });
+
+    it("should keep the containers whose tabs session restore hasn't brought back yet", async () => {
+      background.browser.contextualIdentities.remove.should.not.have.been.called;
+      expect(background.browser._storage.temporaryContainers).to.deep.equal(["firefox-container-9"]);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+describe("Transition Rules Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://jira.example.com/browse/ABC-1",
+    index: 0,
+    active: true
+  };
+  const navigate = async (url, originUrl, tab = activeTab) => {
+    background.browser.tabs.get.resolves(tab);
+    const [promise] = background.browser.webRequest.onBeforeRequest.addListener.yield({
+      frameId: 0,
+      tabId: tab.id,
+      url,
+      originUrl,
+      requestId: 1
+    });
+    return promise;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser._storage["siteTransition@@_1@@_google.com"] = {
+      userContextId: "2",
+      neverAsk: true
+    };
+    background.browser._storage["siteTransition@@_1@@_google.com@@_jira.example.com"] = {
+      userContextId: "3",
+      neverAsk: true
+    };
+  });
+
+  describe("rules keyed on the origin site", () => {
+    it("should prefer the rule for links from the origin site", async () => {
+      await navigate("https://google.com/search", activeTab.url);
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "https://google.com/search",
+        cookieStoreId: "firefox-container-3"
+      });
+    });
+
+    it("should fall back to the rule for the container", async () => {
+      await navigate("https://google.com/search", "https://slack.example.com/messages");
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "https://google.com/search",
+        cookieStoreId: "firefox-container-2"
+      });
+    });
+  });
+
+  describe("rules for the default container as the source", () => {
+    const defaultTab = {
+      id: 4,
+      cookieStoreId: "firefox-default",
+      url: "https://news.example.com",
+      index: 2,
+      active: true
+    };
+
+    it("should use the rule stored for the default container", async () => {
+      background.browser._storage["siteTransition@@_0@@_google.com"] = {
+        userContextId: "2",
+        neverAsk: true
+      };
+      await navigate("https://google.com/search", defaultTab.url, defaultTab);
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "https://google.com/search",
+        cookieStoreId: "firefox-container-2"
+      });
+    });
+
+    it("should fall back to the assignment without a rule", async () => {
+      background.browser._storage["siteContainerMap@@_google.com"] = {
+        userContextId: "3",
+        neverAsk: true
+      };
+      await navigate("https://google.com/search", defaultTab.url, defaultTab);
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "https://google.com/search",
+        cookieStoreId: "firefox-container-3"
+      });
+    });
+  });
+
+  describe("rules set from the popup", () => {
+    it("should store container ids sent as numbers as strings", async () => {
+      const [promise] = background.browser.runtime.onMessage.addListener.yield({
+        method: "setOrRemoveTransitionSettings",
+        sourceContainerId: 1,
+        url: "https://mail.example.com/inbox",
+        userContextId: 1,
+        value: false
+      });
+      await promise;
+
+      expect(background.browser._storage["siteTransition@@_1@@_mail.example.com"]).to.deep.equal({
+        userContextId: "1",
+        neverAsk: true
+      });
+      const result = await navigate("https://mail.example.com/inbox", activeTab.url);
+
+      expect(result).to.deep.equal({});
+      background.browser.tabs.create.should.not.have.been.called;
+    });
+  });
+
+  describe("rules that ask before switching container", () => {
+    it("should open the confirm page with the target preselected", async () => {
+      background.browser._storage["siteTransition@@_1@@_mail.example.com"] = {
+        userContextId: "2",
+        neverAsk: false
+      };
+      await navigate("https://mail.example.com/inbox", activeTab.url);
+
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: "moz-extension://multi-account-containers/confirm-page.html?" +
+             `url=${encodeURIComponent("https://mail.example.com/inbox")}` +
+             "&cookieStoreId=firefox-container-2" +
+             "&currentCookieStoreId=firefox-container-1" +
+             `&ruleKey=${encodeURIComponent("siteTransition@@_1@@_mail.example.com")}`,
+        cookieStoreId: "firefox-container-1"
+      });
+    });
+  });
+
+  describe("remembering the decision on the confirm page", () => {
+    it("should stop asking for the rule that asked", async () => {
+      background.browser._storage["siteContainerMap@@_mail.example.com"] = {
+        userContextId: "3",
+        neverAsk: false
+      };
+      background.browser._storage["siteTransition@@_1@@_mail.example.com@@_jira.example.com"] = {
+        userContextId: "2",
+        neverAsk: false
+      };
+      await navigate("https://mail.example.com/inbox", activeTab.url);
+      background.browser.tabs.create.should.have.been.calledWithMatch({
+        url: sinon.match(`&ruleKey=${encodeURIComponent("siteTransition@@_1@@_mail.example.com@@_jira.example.com")}`)
+      });
+
+      const [promise] = background.browser.runtime.onMessage.addListener.yield({
+        method: "neverAsk",
+        neverAsk: true,
+        pageUrl: "https://mail.example.com/inbox",
+        ruleKey: "siteTransition@@_1@@_mail.example.com@@_jira.example.com"
+      });
+      await promise;
+
+      expect(background.browser._storage["siteTransition@@_1@@_mail.example.com@@_jira.example.com"]).to.deep.equal({
+        userContextId: "2",
+        neverAsk: true
+      });
+      expect(background.browser._storage["siteContainerMap@@_mail.example.com"].neverAsk).to.be.false;
+    });
+  });
+
+  describe("rules with an action instead of a target container", () => {
+    it("should block the navigation and tell the source tab", async () => {
+      background.browser._storage["siteTransition@@_1@@_mail.example.com"] = {
+        userContextId: "1",
+        neverAsk: true,
+        action: "block"
+      };
+      const result = await navigate("https://mail.example.com/inbox", activeTab.url);
+
+      expect(result).to.deep.equal({cancel: true});
+      background.browser.tabs.create.should.not.have.been.called;
+      background.browser.tabs.sendMessage.should.have.been.calledWith(activeTab.id, {
+        text: "Blocked navigation to mail.example.com by a transition rule"
+      });
+    });
+
+    it("should stay in the source container despite the assignment", async () => {
+      // Navigations from Default follow assignments, without the rule this one would move
+      const defaultTab = {
+        id: 4,
+        cookieStoreId: "firefox-default",
+        url: "https://news.example.com",
+        index: 2,
+        active: true
+      };
+      background.browser._storage["siteContainerMap@@_mail.example.com"] = {
+        userContextId: "2",
+        neverAsk: true
+      };
+      background.browser._storage["siteTransition@@_0@@_mail.example.com"] = {
+        userContextId: false,
+        neverAsk: true,
+        action: "stay"
+      };
+      const result = await navigate("https://mail.example.com/inbox", defaultTab.url, defaultTab);
+
+      expect(result).to.deep.equal({});
+      background.browser.tabs.create.should.not.have.been.called;
+    });
+
+    it("should open the page in a private window", async () => {
+      background.browser._storage["siteTransition@@_1@@_mail.example.com"] = {
+        userContextId: "1",
+        neverAsk: true,
+        action: "private"
+      };
+      await navigate("https://mail.example.com/inbox", activeTab.url);
+
+      background.browser.windows.create.should.have.been.calledWith({
+        url: "https://mail.example.com/inbox",
+        incognito: true
+      });
+      background.browser.tabs.create.should.not.have.been.called;
+    });
+  });
+});
@@ -0,0 +1,132 @@
+describe("URL Rules Feature", () => {
+  const activeTab = {
+    id: 1,
+    cookieStoreId: "firefox-container-1",
+    url: "https://github.com/org-a/project",
+    index: 0
+  };
+  const newTabWithUrl = (url) => {
+    return {
+      id: 2,
+      cookieStoreId: "firefox-default",
+      url,
+      index: 1,
+      active: true
+    };
+  };
+  const confirmPageUrl = (url, cookieStoreId, ruleKey) => {
+    return "moz-extension://multi-account-containers/confirm-page.html?" +
+           `url=${encodeURIComponent(url)}` +
+           `&cookieStoreId=${cookieStoreId}` +
+           `&ruleKey=${encodeURIComponent(ruleKey)}`;
+  };
+  beforeEach(async () => {
+    await helper.browser.initializeWithTab(activeTab);
+    background.browser._storage["siteUrlRule@@_prefix@@_github.com/org-a"] = {
+      type: "prefix",
+      pattern: "github.com/org-a",
+      priority: 0,
+      userContextId: "1",
+      neverAsk: false
+    };
+  });
+
+  it("should open the confirm page for a URL below the prefix", async () => {
+    const newTab = newTabWithUrl("https://github.com/org-a/project/issues");
+    await helper.browser.openNewTab(newTab);
+
+    background.browser.tabs.create.should.have.been.calledWithMatch({
+      url: confirmPageUrl(newTab.url, "firefox-container-1", "siteUrlRule@@_prefix@@_github.com/org-a")
+    });
+  });
+
+  it("should only match whole path segments", async () => {
+    await helper.browser.openNewTab(newTabWithUrl("https://github.com/org-ab"));
+
+    background.browser.tabs.create.should.not.have.been.called;
+  });
+
+  it("should prefer URL rules over the hostname assignment", async () => {
+    background.browser._storage["siteContainerMap@@_github.com"] = {
+      userContextId: "2",
+      neverAsk: false
+    };
+    const newTab = newTabWithUrl("https://github.com/org-a");
+    await helper.browser.openNewTab(newTab);
+
+    background.browser.tabs.create.should.have.been.calledWithMatch({
+      url: confirmPageUrl(newTab.url, "firefox-container-1", "siteUrlRule@@_prefix@@_github.com/org-a")
+    });
+  });
+
+  it("should pick the rule with the highest priority", async () => {
+    background.browser._storage["siteUrlRule@@_regex@@_/org-a/.*/settings"] = {
+      type: "regex",
+      pattern: "/org-a/.*/settings",
+      priority: 1,
+      userContextId: "3",
+      neverAsk: false
+    };
+    const newTab = newTabWithUrl("https://github.com/org-a/project/settings");
+    await helper.browser.openNewTab(newTab);
+
+    background.browser.tabs.create.should.have.been.calledWithMatch({
+      url: confirmPageUrl(newTab.url, "firefox-container-3", "siteUrlRule@@_regex@@_/org-a/.*/settings")
+    });
+  });
+
+  it("should match glob patterns against the whole address", async () => {
+    background.browser._storage["siteUrlRule@@_glob@@_github.com/*/wiki*"] = {
+      type: "glob",
+      pattern: "github.com/*/wiki*",
+      priority: 0,
+      userContextId: "4",
+      neverAsk: false
+    };
+    const newTab = newTabWithUrl("https://github.com/org-b/wiki/Home");
+    await helper.browser.openNewTab(newTab);
+
+    background.browser.tabs.create.should.have.been.calledWithMatch({
+      url: confirmPageUrl(newTab.url, "firefox-container-4", "siteUrlRule@@_glob@@_github.com/*/wiki*")
+    });
+    background.browser.tabs.create.resetHistory();
+    await helper.browser.openNewTab(newTabWithUrl("https://github.com/org-b/issues"));
+
+    background.browser.tabs.create.should.not.have.been.called;
+  });
+
+  it("should create a rule of the type and priority picked in the popup", async () => {
+    const typeElement = popup.document.getElementById("current-path-rule-type");
+    typeElement.value = "glob";
+    const changeEvent = popup.document.createEvent("HTMLEvents");
+    changeEvent.initEvent("change");
+    typeElement.dispatchEvent(changeEvent);
+    popup.document.getElementById("current-path-rule-priority").value = "2";
+    await helper.popup.clickElementById("current-path-rule-link");
+
+    expect(background.browser._storage["siteUrlRule@@_glob@@_github.com/org-a/*"]).to.deep.equal({
+      type: "glob",
+      pattern: "github.com/org-a/*",
+      priority: 2,
+      userContextId: "1",
+      neverAsk: false
+    });
+  });
+
+  it("should stop asking for the URL rule when the decision is remembered", async () => {
+    background.browser._storage["siteContainerMap@@_github.com"] = {
+      userContextId: "2",
+      neverAsk: false
+    };
+    const [promise] = background.browser.runtime.onMessage.addListener.yield({
+      method: "neverAsk",
+      neverAsk: true,
+      pageUrl: "https://github.com/org-a/project/issues",
+      ruleKey: "siteUrlRule@@_prefix@@_github.com/org-a"
+    });
+    await promise;
+
+    expect(background.browser._storage["siteUrlRule@@_prefix@@_github.com/org-a"].neverAsk).to.be.true;
+    expect(background.browser._storage["siteContainerMap@@_github.com"].neverAsk).to.be.false;
+  });
+});
@@ -29,7 +29,9 @@ module.exports = {
         frameId: 0,
         tabId: tab.id,
         url: tab.url,
-        requestId: options.requestId
+        requestId: options.requestId,
+        cookieStoreId: tab.cookieStoreId,
+        incognito: Boolean(tab.incognito)
       });
 
       return promise;